@@ -3,41 +3,168 @@
  * 
  * This file provides additional configuration options and alternative
  * detection strategies for the redirect handler.
+ *
+ * Load it after redirect-handler.js. ADVANCED_CONFIG is picked up
+ * automatically when the DOM is ready, or can be passed explicitly:
+ *   RedirectHandler.init(ADVANCED_CONFIG);
  */
 
 // Advanced Configuration Object
 const ADVANCED_CONFIG = {
     
     // === REDIRECT SETTINGS ===
+    // Supports placeholders, e.g. '.../thanks-appointment/?booking={bookingId}&method={method}'
     redirectUrl: 'https://studentmarketing.agency/thanks-appointment/',
     
+    // Elements used by the handler. Every matching iframe, including ones
+    // added later, gets its own detectors, state and destination; its data
+    // attributes (data-appointment-redirect, data-redirect-delay,
+    // data-success-patterns, data-redirect-action) override the options below
+    iframeSelector: '#booking-iframe, iframe[data-redirect-url], iframe[data-appointment-redirect]',
+    loadingOverlaySelector: '#loadingOverlay',
+    
+    // Per-iframe overrides of any option above or below
+    iframes: [
+        // { selector: '#advisor-a', redirectUrl: 'https://example.com/thanks-a/' }
+    ],
+    
+    // Navigation attempts for the (single) redirect, retried after retryDelay
+    maxRedirectAttempts: 3,
+    retryDelay: 3000,
+    
     // Add query parameters to track the source
     appendSourceParam: true,
     sourceParamName: 'source',
     sourceParamValue: 'appointment_booking',
     
+    // Host page query params carried over to the thank you page
+    carryOverParams: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'],
+    
+    // Different thank you pages per appointment type or answer.
+    // First match wins; redirectUrl above is the fallback.
+    routes: [
+        // {
+        //     match: { eventType: /consultation/i, duration: { min: 60 } },
+        //     redirectUrl: 'https://studentmarketing.agency/thanks-consultation/'
+        // },
+        // {
+        //     match: { answers: { 'What is your budget?': ['10k+', '20k+'] } },
+        //     redirectUrl: 'https://studentmarketing.agency/thanks-priority/'
+        // }
+    ],
+    
+    // What to do after a booking: 'redirect', 'top' (when this page is
+    // itself embedded), 'pushState' (single-page apps), 'inline' (replace
+    // the iframe), 'modal', or function(detail) { ... }
+    action: 'redirect',
+    
+    // Content for 'inline' and 'modal' (placeholders as in redirectUrl)
+    actionHtml: null, // e.g. '<h2>Thanks, {inviteeName}!</h2><p>See you on {slotTime}.</p>'
+    
     // Delay before redirect (gives user time to see confirmation)
     redirectDelay: 2000, // 2 seconds
     
     // Show countdown timer
     showCountdown: true,
     
+    // Overlay text; locale defaults to <html lang>, then the browser language
+    overlay: {
+        locale: null,
+        text: {
+            // processing: 'Processing your appointment...',
+            // countdown: 'Redirecting you in {seconds} s...',
+            // redirecting: 'Redirecting you now...',
+            // redirectNow: 'Redirect now',
+            // stay: 'Stay on this page'
+        }
+    },
+    
     
     // === DETECTION SETTINGS ===
     
     // Polling interval for URL checking
     checkInterval: 500, // Check every 500ms
     
-    // Maximum time to keep polling (in milliseconds)
+    // Maximum time to keep polling (in milliseconds); polling also pauses
+    // while the tab is hidden and once a booking is detected
     maxPollingTime: 300000, // 5 minutes
     
+    // Booking provider profile: 'auto' picks it from the iframe src
+    // (appointmentcore, calendly, calcom, hubspot, acuity), or name one
+    provider: 'auto',
+    
+    // Exact origins allowed to send postMessages (parsed with URL), in
+    // addition to those of the provider profile
+    allowedOrigins: [],
+    
     // Enable/disable specific detection methods
     methods: {
         postMessage: true,
         urlMonitoring: true,
         mutationObserver: true,
         navigationWatcher: true,
-        customEvents: true
+        customEvents: true,
+        relayPage: true,
+        
+        // Experimental strategies (defined at the bottom of this file)
+        iframeSizeChange: false,
+        networkActivity: false,
+        storageChanges: false,
+        hashChanges: false
+    },
+    
+    // Detectors emit weighted evidence between -1 and 1; redirect once the
+    // latest evidence of each method within the window adds up to the threshold
+    scoring: {
+        threshold: 1,
+        window: 60000, // 1 minute
+        
+        // Ambiguous keywords count less than the default keywordWeight of 1
+        keywordWeights: {
+            'confirm': 0.4,
+            'complete': 0.4
+        },
+        
+        // Matches subtract negativeWeight each
+        negativePatterns: [
+            'unconfirmed',
+            'not confirmed',
+            'incomplete',
+            'error',
+            'failed',
+            'unavailable'
+        ],
+        negativeWeight: 1,
+        
+        // Multiplier per detection method
+        methodWeights: {
+            mutationObserver: 0.5
+        }
+    },
+    
+    // Thresholds for the experimental strategies
+    strategies: {
+        iframeSizeChange: {
+            interval: 1000,
+            shrinkRatio: 0.5, // New height below 50% of the previous one
+            confidence: 0.5
+        },
+        // Only sees requests made by the host page itself (see
+        // monitorNetworkActivity below), never those inside the iframe
+        networkActivity: {
+            hosts: ['appointmentcore.com'],
+            urlPatterns: ['confirm', 'submit'],
+            confidence: 0.4
+        },
+        storageChanges: {
+            interval: 1000,
+            cookiePatterns: ['booking', 'appointment', 'confirmed'],
+            confidence: 0.3
+        },
+        hashChanges: {
+            patterns: ['success', 'complete'],
+            confidence: 0.6
+        }
     },
     
     
@@ -81,29 +208,70 @@ const ADVANCED_CONFIG = {
         ]
     },
     
+    // Where the mutation observer looks for the classes, attributes and
+    // message patterns above
+    mutationObserver: {
+        // Closest ancestor of the iframe to watch (null: its parent element)
+        container: '.iframe-container',
+        
+        // Never inspected (replaces the default list)
+        ignoreSelectors: [
+            '[data-redirect-handler]',
+            '.redirect-manual',
+            'script',
+            'style',
+            'noscript',
+            '#cookie-banner',
+            '.chat-widget'
+        ]
+    },
+    
     
     // === ANALYTICS SETTINGS ===
     
     analytics: {
         enabled: true,
         
-        // Google Analytics 4
+        // Wait up to 1 second for trackers before navigating; the rest is
+        // queued and sent from the thank-you page (if it loads the handler)
+        maxWait: 1000,
+        
+        // Google Analytics 4 (method, redirect_url, booking_id and
+        // event_type are added automatically)
         ga4: {
             enabled: true,
             eventName: 'appointment_complete',
             eventParams: {
-                method: '', // Will be filled dynamically
                 value: 1,
                 currency: 'USD'
             }
         },
         
+        // Google Tag Manager dataLayer
+        gtm: {
+            enabled: false,
+            eventName: 'appointment_complete',
+            dataLayerName: 'dataLayer'
+        },
+        
         // Facebook Pixel
         facebook: {
             enabled: true,
             eventName: 'Schedule'
         },
         
+        // LinkedIn Insight Tag
+        linkedin: {
+            enabled: false,
+            conversionId: null
+        },
+        
+        // TikTok Pixel
+        tiktok: {
+            enabled: false,
+            eventName: 'Schedule'
+        },
+        
         // Custom tracking endpoint
         custom: {
             enabled: false,
@@ -119,48 +287,72 @@ const ADVANCED_CONFIG = {
         // Show manual button after timeout
         showManualButton: true,
         manualButtonDelay: 30000, // Show after 30 seconds
+        manualButtonAfterInteraction: 10000, // Or 10 seconds after the visitor first uses the iframe
         
         // Enable localStorage to prevent duplicate redirects
         useLocalStorage: true,
+        storageArea: 'local', // or 'session' to only guard the current tab
         storageKey: 'appointment_completed',
         storageDuration: 3600000, // 1 hour
         
         // Custom callback URL parameter
         // Some booking systems support ?return_url= or ?callback=
+        // Added to the iframe src (use data-src to avoid a reload)
         tryCallbackParam: true,
-        callbackParamName: 'return_url'
+        callbackParamName: 'return_url',
+        callbackUrl: null // Defaults to redirectUrl; or the relay page, e.g. 'https://studentmarketing.agency/booking-complete.html'
     },
     
     
     // === DEBUG SETTINGS ===
     
     debug: {
-        enabled: true, // Set to false in production
+        // 'silent', 'error', 'info' or 'verbose'; add ?redirect_debug=1 to
+        // the page URL when investigating
+        level: 'error',
         logPrefix: '[Iframe Redirect]',
-        verboseLogging: true
+        panel: false // Floating diagnostics panel (detectors, signals, decision)
     },
     
     
     // === CUSTOM CALLBACKS ===
     
+    // Each receives the event detail; the same events are dispatched on
+    // window as 'redirecthandler:ready', 'redirecthandler:signal', ...
+    // RedirectHandler.log writes to the console according to debug.level.
     callbacks: {
-        // Called before redirect
-        beforeRedirect: function(method) {
-            console.log('About to redirect via method:', method);
+        // Handler initialized: { iframes }
+        onReady: function(detail) {
+            RedirectHandler.log.info('Watching iframes:', detail.iframes);
+        },
+        
+        // Called before redirect: { iframe, method, url }
+        // Return false to cancel, a URL to change the destination, or a Promise
+        beforeRedirect: function(detail) {
+            RedirectHandler.log.info('About to redirect via method:', detail.method);
             // Add custom logic here
         },
         
-        // Called if redirect fails
-        onRedirectFail: function(error) {
-            console.error('Redirect failed:', error);
+        // Called when navigation starts: { iframe, method, url }
+        onRedirect: null,
+        
+        // Called if redirect fails: { iframe, method, url, attempts }
+        onRedirectFail: function(detail) {
+            RedirectHandler.log.error('Redirect failed:', detail.url);
             // Add custom error handling
         },
         
-        // Called when success is detected
-        onSuccessDetected: function(method, data) {
-            console.log('Success detected:', method, data);
+        // Called when success is detected: { iframe, method, total, data }
+        onSuccessDetected: function(detail) {
+            RedirectHandler.log.info('Success detected:', detail.method, detail.data);
             // Add custom success handling
-        }
+        },
+        
+        // Every detector signal: { iframe, method, confidence, total, threshold, data }
+        onSignal: null,
+        
+        // Invalid options, failing detectors/adapters, failed redirects: { type, message }
+        onError: null
     }
 };
 
@@ -172,121 +364,174 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // === ALTERNATIVE DETECTION STRATEGIES ===
 
+// Each strategy is registered with RedirectHandler.register(name, setup, teardown).
+// Setup functions run once per booking iframe. They receive the detector
+// context, emit confidence-scored signals with context.signal(confidence, data)
+// and return a handle that is passed back to the teardown function.
+// context.log writes to the console according to debug.level.
+// Polling goes through context.poll(fn, interval), which pauses while the
+// page is hidden and stops after maxPollingTime or once a booking is found.
+// Page-level observations check context.isTarget() so that, with several
+// iframes, they only count for the one the visitor is using.
+
+/**
+ * Strategy options from the effective config, falling back to ADVANCED_CONFIG
+ */
+function getStrategyOptions(context, name) {
+    const overrides = (context.config.strategies || {})[name];
+    return Object.assign({}, ADVANCED_CONFIG.strategies[name], overrides);
+}
+
+
 /**
  * Strategy 1: Iframe Size Change Detection
  * Some booking systems resize the iframe on success
  */
-function detectIframeSizeChange() {
-    const iframe = document.getElementById('booking-iframe');
-    if (!iframe) return;
+function detectIframeSizeChange(context) {
+    const options = getStrategyOptions(context, 'iframeSizeChange');
+    const iframe = context.iframe;
     
     let lastHeight = iframe.offsetHeight;
     
-    setInterval(function() {
+    return context.poll(function() {
         const currentHeight = iframe.offsetHeight;
         if (currentHeight !== lastHeight) {
-            console.log('Iframe height changed:', lastHeight, '→', currentHeight);
-            lastHeight = currentHeight;
+            context.log.verbose('Iframe height changed:', lastHeight, '→', currentHeight);
             
             // If height significantly reduced, might indicate completion
-            if (currentHeight < lastHeight * 0.5) {
-                console.log('Significant height reduction detected - possible success');
-                // Trigger success check
+            if (currentHeight < lastHeight * options.shrinkRatio) {
+                context.log.verbose('Significant height reduction detected - possible success');
+                context.signal(options.confidence, {
+                    from: lastHeight,
+                    to: currentHeight
+                });
             }
+            
+            lastHeight = currentHeight;
         }
-    }, 1000);
-}
-
-
-/**
- * Strategy 2: Focus Change Detection
- * Detect when iframe loses focus (might indicate redirect)
- */
-function detectFocusChange() {
-    const iframe = document.getElementById('booking-iframe');
-    if (!iframe) return;
-    
-    iframe.contentWindow.addEventListener('blur', function() {
-        console.log('Iframe lost focus');
-        // Might indicate a popup or redirect
-    });
+    }, options.interval);
 }
 
 
 /**
- * Strategy 3: Network Activity Monitoring
- * Check for specific network requests (requires Service Worker)
+ * Strategy 2: Network Activity Monitoring
+ * Check for specific network requests in the host page's resource timing.
+ * A cross-origin iframe's own requests never show up there, so this only
+ * helps when the host page itself talks to the booking backend (e.g. a
+ * widget script on the page). The iframe document's own load is ignored.
  */
-function monitorNetworkActivity() {
+function monitorNetworkActivity(context) {
+    const options = getStrategyOptions(context, 'networkActivity');
+    
     if ('PerformanceObserver' in window) {
         const observer = new PerformanceObserver((list) => {
             for (const entry of list.getEntries()) {
-                if (entry.name.includes('appointmentcore.com')) {
-                    console.log('Network request:', entry.name);
+                const name = entry.name.toLowerCase();
+                
+                if (entry.initiatorType === 'iframe' || entry.name === context.iframe.src) {
+                    continue;
+                }
+                
+                if (options.hosts.some(host => name.includes(host)) && context.isTarget()) {
+                    context.log.verbose('Network request:', entry.name);
                     
                     // Check if it's a booking confirmation endpoint
-                    if (entry.name.includes('confirm') || 
-                        entry.name.includes('book') ||
-                        entry.name.includes('submit')) {
-                        console.log('Potential booking request detected');
+                    if (options.urlPatterns.some(pattern => name.includes(pattern))) {
+                        context.log.verbose('Potential booking request detected');
+                        context.signal(options.confidence, entry.name);
                     }
                 }
             }
         });
         
         observer.observe({ entryTypes: ['resource'] });
+        return observer;
     }
+    
+    return null;
 }
 
 
 /**
- * Strategy 4: Cookie/Storage Change Detection
+ * Strategy 3: Cookie/Storage Change Detection
  * Monitor for cookies that might be set on success
  */
-function monitorStorageChanges() {
+function monitorStorageChanges(context) {
+    const options = getStrategyOptions(context, 'storageChanges');
+    
     let lastCookies = document.cookie;
     
-    setInterval(function() {
+    return context.poll(function() {
         const currentCookies = document.cookie;
-        if (currentCookies !== lastCookies) {
-            console.log('Cookies changed');
+        if (currentCookies !== lastCookies && context.isTarget()) {
+            context.log.verbose('Cookies changed');
+            
+            // Check newly set cookies for success-related names or values
+            const previous = lastCookies.split(/;\s*/);
+            const added = currentCookies.split(/;\s*/).filter(function(cookie) {
+                return previous.indexOf(cookie) === -1;
+            });
+            const matching = added.filter(function(cookie) {
+                return options.cookiePatterns.some(pattern => cookie.includes(pattern));
+            });
             
-            // Check for success-related cookies
-            if (currentCookies.includes('booking') || 
-                currentCookies.includes('appointment') ||
-                currentCookies.includes('confirmed')) {
-                console.log('Success-related cookie detected');
+            if (matching.length > 0) {
+                context.log.verbose('Success-related cookie detected');
+                context.signal(options.confidence, matching);
             }
             
             lastCookies = currentCookies;
         }
-    }, 1000);
+    }, options.interval);
 }
 
 
 /**
- * Strategy 5: URL Hash Change Detection
+ * Strategy 4: URL Hash Change Detection
  * Some systems use hash changes for navigation
  */
-function monitorHashChanges() {
-    window.addEventListener('hashchange', function(event) {
-        console.log('Hash changed:', event.oldURL, '→', event.newURL);
+function monitorHashChanges(context) {
+    const options = getStrategyOptions(context, 'hashChanges');
+    
+    function onHashChange(event) {
+        context.log.verbose('Hash changed:', event.oldURL, '→', event.newURL);
         
         // Check if new hash indicates success
-        if (window.location.hash.includes('success') ||
-            window.location.hash.includes('complete')) {
-            console.log('Success hash detected');
+        const hash = window.location.hash.toLowerCase();
+        if (options.patterns.some(pattern => hash.includes(pattern)) && context.isTarget()) {
+            context.log.verbose('Success hash detected');
+            context.signal(options.confidence, window.location.hash);
         }
-    });
+    }
+    
+    window.addEventListener('hashchange', onHashChange);
+    return onHashChange;
+}
+
+
+// Teardown helpers for the strategies above
+function stopPolling(poller) {
+    poller.stop();
+}
+
+function disconnectObserver(observer) {
+    if (observer) {
+        observer.disconnect();
+    }
 }
 
+function removeHashChangeListener(onHashChange) {
+    window.removeEventListener('hashchange', onHashChange);
+}
 
-// Initialize alternative strategies
-if (ADVANCED_CONFIG.debug.enabled) {
-    document.addEventListener('DOMContentLoaded', function() {
-        detectIframeSizeChange();
-        monitorNetworkActivity();
-        monitorStorageChanges();
-        monitorHashChanges();
-    });
+
+// Register alternative strategies. They are experimental and opt-in: each
+// only runs when set to true in ADVANCED_CONFIG.methods (or init() options).
+if (typeof RedirectHandler !== 'undefined') {
+    const OPT_IN = { defaultEnabled: false };
+    
+    RedirectHandler.register('iframeSizeChange', detectIframeSizeChange, stopPolling, OPT_IN);
+    RedirectHandler.register('networkActivity', monitorNetworkActivity, disconnectObserver, OPT_IN);
+    RedirectHandler.register('storageChanges', monitorStorageChanges, stopPolling, OPT_IN);
+    RedirectHandler.register('hashChanges', monitorHashChanges, removeHashChangeListener, OPT_IN);
 }
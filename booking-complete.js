@@ -0,0 +1,137 @@
+/**
+ * Relay Page Script for Iframe Redirect Handler
+ *
+ * Runs on booking-complete.html, a page on your own domain that the booking
+ * provider redirects to after booking (its return URL, see
+ * fallback.tryCallbackParam). Loaded inside the booking iframe, it tells the
+ * parent page's redirect handler that the booking is complete, which then
+ * redirects as usual.
+ *
+ * Options (data attributes on the script tag):
+ *   data-next            - thank-you page to open if the parent doesn't
+ *                          respond, or if the relay isn't in an iframe
+ *   data-break-out       - "false" to never navigate the top frame itself
+ *   data-break-out-delay - how long to wait for the parent (ms, default 3000)
+ *   data-debug           - "true" to log what the relay does to the console
+ *
+ * The next URL can also be passed as ?next=..., but only same-origin URLs
+ * are followed.
+ */
+
+(function() {
+    'use strict';
+    
+    // Must match redirect-handler.js
+    const RELAY_MESSAGE = 'redirect-handler:relay';
+    const RELAY_ACK = 'redirect-handler:relay-ack';
+    const RELAY_TOKEN_KEY = 'redirect_handler_relay_token';
+    
+    const script = document.currentScript;
+    const options = readOptions(script ? script.dataset : {});
+    const params = readParams();
+    
+    if (window.parent === window) {
+        // Opened directly (the provider redirected the top frame)
+        if (options.next) {
+            window.location.replace(options.next);
+        }
+        return;
+    }
+    
+    notifyParent();
+    
+    /**
+     * Post the success message to the parent, and break out to the
+     * thank-you page unless the parent acknowledges it in time
+     */
+    function notifyParent() {
+        const token = getToken();
+        let timer = null;
+        
+        window.addEventListener('message', function(event) {
+            if (event.origin === window.location.origin && event.source === window.parent
+                && event.data && event.data.type === RELAY_ACK && event.data.token === token) {
+                clearTimeout(timer);
+                debugLog('Relay acknowledged by parent page');
+            }
+        });
+        
+        // Same-origin parents only: other origins never receive the message
+        window.parent.postMessage({
+            type: RELAY_MESSAGE,
+            version: 1,
+            token: token,
+            url: window.location.href,
+            params: params
+        }, window.location.origin);
+        
+        if (options.breakOut && options.next) {
+            timer = setTimeout(breakOut, options.breakOutDelay);
+        }
+    }
+    
+    function breakOut() {
+        debugLog('No response from parent page, opening:', options.next);
+        
+        try {
+            window.top.location.href = options.next;
+        } catch (e) {
+            // Top frame navigation blocked (sandboxed or cross-origin parent)
+            window.location.href = options.next;
+        }
+    }
+    
+    function readOptions(data) {
+        const query = new URLSearchParams(window.location.search);
+        const delay = Number(data.breakOutDelay);
+        
+        return {
+            next: sameOriginUrl(data.next || query.get('next')),
+            breakOut: data.breakOut !== 'false',
+            breakOutDelay: data.breakOutDelay && delay >= 0 ? delay : 3000,
+            debug: data.debug === 'true'
+        };
+    }
+    
+    function debugLog() {
+        if (options.debug) {
+            console.log.apply(console, ['[Relay]'].concat(Array.prototype.slice.call(arguments)));
+        }
+    }
+    
+    /**
+     * Query parameters added by the provider (booking id, event type, ...),
+     * passed on for routing and URL placeholders
+     */
+    function readParams() {
+        const result = {};
+        
+        new URLSearchParams(window.location.search).forEach(function(value, key) {
+            if (key !== 'next') {
+                result[key] = value;
+            }
+        });
+        
+        return result;
+    }
+    
+    function getToken() {
+        try {
+            return window.sessionStorage.getItem(RELAY_TOKEN_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    // Avoid open redirects through ?next=
+    function sameOriginUrl(value) {
+        if (!value) return null;
+        
+        try {
+            const url = new URL(value, window.location.href);
+            return url.origin === window.location.origin ? url.href : null;
+        } catch (e) {
+            return null;
+        }
+    }
+})();
@@ -1,309 +1,4806 @@
 /**
  * Robust Iframe Redirect Handler
  * Handles redirect after appointment submission in cross-origin iframe
+ *
+ * Usage:
+ *   RedirectHandler.init({ redirectUrl: 'https://your-site.com/thank-you/' });
+ *
+ * If init() has not been called by the time the DOM is ready, the handler
+ * initializes itself with ADVANCED_CONFIG (advanced-config.js) when present.
+ *
+ * Declarative embed (no JavaScript needed):
+ *   <iframe src="..." data-appointment-redirect="https://your-site.com/thank-you/"
+ *           data-redirect-delay="2000" data-success-patterns="booked,confirmed">
  */
 
 (function() {
     'use strict';
     
-    const CONFIG = {
+    // Default options, deep-merged with the options passed to init()
+    const DEFAULTS = {
+        // Destination, optionally a template such as
+        // 'https://site/thanks/?booking={bookingId}&method={method}&utm_source={utm_source}'
+        // Placeholders are filled by buildRedirectUrl() and URL-encoded.
         redirectUrl: 'https://studentmarketing.agency/thanks-appointment/',
-        iframe: null,
-        loadingOverlay: null,
+        
+        // Add query parameters to track the source
+        appendSourceParam: false,
+        sourceParamName: 'source',
+        sourceParamValue: 'appointment_booking',
+        
+        // Host page query params copied to the destination if not already set
+        carryOverParams: [],
+        
+        // Conditional destinations, first match wins; redirectUrl is the fallback.
+        // [{ match: { eventType: 'Consultation', duration: { min: 60 } }, redirectUrl: '...' }]
+        // See matchesRoute() for the supported conditions.
+        routes: [],
+        
+        // What happens after a booking (see performAction()):
+        //   'redirect' - navigate this page to the destination
+        //   'top'      - navigate the top frame (when this page is embedded)
+        //   'pushState'- history.pushState + popstate for single-page apps
+        //   'inline'   - replace the iframe with actionHtml
+        //   'modal'    - show actionHtml in a dialog
+        //   function(detail) - custom, gets { iframe, element, method, url, booking }
+        action: 'redirect',
+        
+        // Content for 'inline' and 'modal'; placeholders as in redirectUrl,
+        // HTML-escaped. Defaults to the localized thank-you message.
+        actionHtml: null,
+        
+        // Every matching iframe gets its own detectors, state and destination.
+        // Matching iframes added to the page later are picked up as well.
+        iframeSelector: '#booking-iframe, iframe[data-redirect-url], iframe[data-appointment-redirect]',
+        loadingOverlaySelector: '#loadingOverlay',
+        
+        // Per-iframe overrides: [{ selector: '#advisor-a', redirectUrl: '...' }]
+        // The iframe's data attributes override these, see readDataOptions().
+        iframes: [],
         redirectDelay: 1500, // Delay before redirect (ms)
+        
+        // Loading overlay shown while the redirect is pending. It offers
+        // "Redirect now" and "Stay on this page" (cancels the redirect).
+        showCountdown: true,
+        overlay: {
+            locale: null, // Defaults to <html lang>, then the browser language
+            text: {}, // Overrides for the selected locale, keys as in messages.en
+            
+            // {seconds} is replaced with the remaining time
+            messages: {
+                en: {
+                    processing: 'Processing your appointment...',
+                    countdown: 'Redirecting you in {seconds} s...',
+                    redirecting: 'Redirecting you now...',
+                    redirectNow: 'Redirect now',
+                    stay: 'Stay on this page',
+                    manualButton: 'I\'ve finished booking — continue',
+                    thankYouTitle: 'Thank you!',
+                    thankYouMessage: 'Your appointment is booked.',
+                    close: 'Close'
+                },
+                de: {
+                    processing: 'Ihr Termin wird verarbeitet...',
+                    countdown: 'Sie werden in {seconds} s weitergeleitet...',
+                    redirecting: 'Sie werden jetzt weitergeleitet...',
+                    redirectNow: 'Jetzt weiter',
+                    stay: 'Auf dieser Seite bleiben',
+                    manualButton: 'Ich habe meinen Termin gebucht — weiter',
+                    thankYouTitle: 'Vielen Dank!',
+                    thankYouMessage: 'Ihr Termin ist gebucht.',
+                    close: 'Schließen'
+                },
+                fr: {
+                    processing: 'Traitement de votre rendez-vous...',
+                    countdown: 'Redirection dans {seconds} s...',
+                    redirecting: 'Redirection en cours...',
+                    redirectNow: 'Continuer maintenant',
+                    stay: 'Rester sur cette page',
+                    manualButton: 'J\'ai terminé ma réservation — continuer',
+                    thankYouTitle: 'Merci !',
+                    thankYouMessage: 'Votre rendez-vous est réservé.',
+                    close: 'Fermer'
+                },
+                es: {
+                    processing: 'Procesando su cita...',
+                    countdown: 'Redirigiendo en {seconds} s...',
+                    redirecting: 'Redirigiendo ahora...',
+                    redirectNow: 'Continuar ahora',
+                    stay: 'Quedarme en esta página',
+                    manualButton: 'He terminado mi reserva — continuar',
+                    thankYouTitle: '¡Gracias!',
+                    thankYouMessage: 'Su cita está reservada.',
+                    close: 'Cerrar'
+                }
+            }
+        },
         checkInterval: 500, // Polling interval (ms)
+        
+        // Detectors stop polling this long after the iframe is attached
+        // (ms, null: never). Polling also pauses while the page is hidden
+        // and once a booking is detected.
+        maxPollingTime: 300000,
+        
+        // One redirect per booking. If the page is still here retryDelay ms
+        // after navigating (blocked or failed), navigation is retried until
+        // maxRedirectAttempts navigations have been made.
         maxRedirectAttempts: 3,
-        redirectAttempts: 0
+        retryDelay: 3000,
+        
+        // Enable/disable detection methods by name. Registered detectors
+        // not listed here use the defaultEnabled they were registered with
+        // (see register()).
+        methods: {
+            postMessage: true,
+            urlMonitoring: true,
+            mutationObserver: true,
+            navigationWatcher: true,
+            customEvents: true,
+            relayPage: true
+        },
+        
+        // Detectors emit weighted evidence between -1 and 1. A redirect
+        // happens once the evidence within the time window adds up to the
+        // threshold; see reportSignal().
+        scoring: {
+            threshold: 1,
+            window: 60000, // Evidence older than this is discarded (ms)
+            
+            // Score of a matched keyword, unless overridden per keyword
+            keywordWeight: 1,
+            keywordWeights: {
+                // Ambiguous words that also appear before booking
+                'confirm': 0.4,
+                'complete': 0.4
+            },
+            
+            // Phrases that subtract negativeWeight each when matched
+            negativePatterns: [
+                'unconfirmed',
+                'not confirmed',
+                'incomplete',
+                'error',
+                'failed',
+                'unavailable'
+            ],
+            negativeWeight: 1,
+            
+            // Multiplier per detection method (default 1)
+            methodWeights: {}
+        },
+        
+        successIndicators: {
+            // Keywords that might appear in success URLs or messages
+            urlPatterns: [
+                'thank',
+                'success',
+                'confirm',
+                'complete',
+                'booked',
+                'scheduled',
+                'appointment-confirmed'
+            ],
+            
+            // Phrases that might appear in success messages, and in text
+            // added to the booking container (see mutationObserver)
+            messagePatterns: [
+                'booking confirmed',
+                'appointment scheduled',
+                'successfully booked',
+                'reservation confirmed'
+            ],
+            
+            // Success markup in the booking container: elements with one of
+            // these classes, or with one of these attributes present or set
+            // to a value such as "true" or "confirmed" (see BOOKED_VALUES).
+            // "false", "0" and negative patterns count against a booking;
+            // other values ("pending", "draft") are ignored.
+            cssClasses: [
+                'booking-confirmed',
+                'appointment-success'
+            ],
+            dataAttributes: [
+                'data-booking-confirmed'
+            ]
+        },
+        
+        // Part of the page watched by the mutationObserver detector
+        mutationObserver: {
+            // Selector of the booking container, matched with iframe.closest()
+            // (null: the iframe's parent element)
+            container: null,
+            
+            // Content that is never inspected, e.g. cookie banners or chat
+            // widgets placed inside the container
+            ignoreSelectors: [
+                '[data-redirect-handler]',
+                '.redirect-manual',
+                'script',
+                'style',
+                'noscript'
+            ]
+        },
+        
+        // Booking provider profile (see registerProvider()): 'auto' picks
+        // it from the iframe src, a name selects one, null uses only
+        // allowedOrigins and the generic message shapes. A profile adds its
+        // origins, message parser, URL patterns and iframe src parameters.
+        // Built in: appointmentcore, calendly, calcom, hubspot, acuity
+        provider: 'auto',
+        
+        // Exact origins allowed to send postMessages (scheme://host[:port]),
+        // in addition to those of the iframe's provider profile
+        allowedOrigins: [],
+        
+        // Custom events the booking system might dispatch on window
+        customEventNames: [
+            'appointmentBooked',
+            'bookingComplete',
+            'bookingSuccess',
+            'appointmentSubmitted',
+            'formSubmitted'
+        ],
+        
+        // Button below the iframe for visitors whose booking wasn't
+        // detected. Label: overlay.messages[locale].manualButton
+        fallback: {
+            showManualButton: false,
+            manualButtonDelay: 30000, // Show this long after init (ms)
+            manualButtonAfterInteraction: 10000, // Or this long after the visitor first uses the iframe (ms); null to disable
+            
+            // Remember a completed booking so that reloading or returning to
+            // the page doesn't redirect (and track the conversion) again
+            useLocalStorage: true,
+            storageArea: 'local', // 'local' (all tabs) or 'session' (this tab only)
+            storageKey: 'appointment_completed',
+            storageDuration: 3600000, // Suppress redirects this long (ms)
+            
+            // Ask the provider to redirect after booking: adds
+            // callbackParamName=<callbackUrl> to the src of iframes from
+            // allowedOrigins. callbackUrl defaults to the redirect
+            // destination. The detectors keep running in case it's ignored.
+            tryCallbackParam: false,
+            callbackParamName: 'return_url',
+            callbackUrl: null
+        },
+        
+        // Conversion tracking, one adapter per provider (see trackRedirect).
+        // Adapters registered with registerAnalytics() are enabled unless
+        // analytics[name].enabled is false.
+        analytics: {
+            enabled: true,
+            eventName: 'appointment_complete',
+            
+            // Longest the redirect waits for adapters to confirm delivery
+            // after redirectDelay (ms). Undelivered events are stored under
+            // queueKey and sent again on the next page that loads the handler.
+            maxWait: 1000,
+            queueKey: 'appointment_analytics_queue',
+            queueDuration: 86400000, // Discard queued events after a day (ms)
+            
+            ga4: {
+                enabled: true,
+                eventName: null, // Defaults to analytics.eventName
+                eventParams: {} // e.g. { value: 1, currency: 'USD' }
+            },
+            
+            // Google Analytics Universal (legacy ga.js)
+            universal: {
+                enabled: true,
+                category: 'Appointment',
+                action: 'Complete'
+            },
+            
+            // Google Tag Manager; pushes { event, method, booking_id, ... }
+            gtm: {
+                enabled: false,
+                eventName: null,
+                dataLayerName: 'dataLayer'
+            },
+            
+            facebook: {
+                enabled: true,
+                eventName: 'Schedule',
+                eventParams: {}
+            },
+            
+            linkedin: {
+                enabled: false,
+                conversionId: null // Required when enabled
+            },
+            
+            tiktok: {
+                enabled: false,
+                eventName: 'Schedule',
+                eventParams: {}
+            },
+            
+            // JSON event sent with navigator.sendBeacon (POST without
+            // headers) or fetch with keepalive
+            custom: {
+                enabled: false,
+                endpoint: null,
+                method: 'POST', // 'POST' or 'GET' (event as query parameters)
+                headers: {}
+            }
+        },
+        
+        // Lifecycle callbacks, each called with the event detail. The same
+        // events are dispatched as "redirecthandler:<event>" CustomEvents.
+        callbacks: {
+            onReady: null, // ready: { iframes }
+            onSignal: null, // signal: { iframe, method, confidence, total, threshold, data }
+            onSuccessDetected: null, // success: { iframe, method, total, data }
+            beforeRedirect: null, // beforeRedirect: { iframe, method, url } - return false, a URL or a Promise
+            onRedirect: null, // redirect: { iframe, method, url }
+            onRedirectFail: null, // { iframe, method, url, attempts }, also reported as error
+            onError: null // error: { type, message, iframe?, error? }
+        },
+        
+        // beforeRedirect Promises that haven't settled after this long (ms)
+        // are reported as an error and the redirect goes ahead
+        beforeRedirectTimeout: 5000,
+        
+        // Console output: 'silent', 'error' (errors and warnings), 'info'
+        // (redirect decisions) or 'verbose' (every signal and detector).
+        // ?redirect_debug=1 in the page URL switches to verbose and opens
+        // the panel; ?redirect_debug=<level> picks a level. The current
+        // state can be read with inspect().
+        debug: {
+            level: 'error',
+            logPrefix: '[Iframe Redirect]',
+            
+            // Floating diagnostics panel: detector status, signals received
+            // and the current decision for each iframe
+            panel: false,
+            
+            // Record what the detectors observe from init() on, see
+            // startRecording(). ?redirect_debug=record turns it on.
+            record: false,
+            
+            // Log the destination instead of redirecting: detection, scoring
+            // and routing run as usual, but the booking isn't stored or
+            // tracked and the action doesn't run. ?redirect_debug=dryrun
+            // turns it on.
+            dryRun: false
+        }
+    };
+    
+    // Messages exchanged with the relay page (booking-complete.js)
+    const RELAY_MESSAGE = 'redirect-handler:relay';
+    const RELAY_ACK = 'redirect-handler:relay-ack';
+    const RELAY_TOKEN_KEY = 'redirect_handler_relay_token';
+    
+    // Built-in post-success actions; the first three leave the page
+    const ACTIONS = ['redirect', 'top', 'pushState', 'inline', 'modal'];
+    const NAVIGATING_ACTIONS = ['redirect', 'top', 'pushState'];
+    
+    // Lifecycle events are dispatched as EVENT_PREFIX + name
+    const EVENT_PREFIX = 'redirecthandler:';
+    
+    // successIndicators.dataAttributes values that affirm a booking; an
+    // empty value means the attribute is simply present
+    const BOOKED_VALUES = ['', 'true', '1', 'yes', 'booked', 'confirmed', 'scheduled', 'success', 'successful', 'complete', 'completed'];
+    
+    // Recordings, see startRecording()
+    const RECORDING_VERSION = 1;
+    const RECORDING_KEY = 'redirect_handler_recording';
+    const MAX_RECORDED_ENTRIES = 2000;
+    const MAX_RECORDED_HTML = 2000; // Characters per mutation
+    const REDACTED_KEYS = ['name', 'fullname', 'full_name', 'firstname', 'first_name', 'lastname', 'last_name', 'email', 'phone', 'phonenumber', 'phone_number'];
+    
+    // Log levels, each including the ones before it
+    const LOG_LEVELS = ['silent', 'error', 'info', 'verbose'];
+    const DEBUG_PARAM = 'redirect_debug';
+    
+    // Console output settings, see configureLogger()
+    const LOGGER = {
+        level: LOG_LEVELS.indexOf(DEFAULTS.debug.level),
+        prefix: DEFAULTS.debug.logPrefix
+    };
+    
+    const log = {
+        error: function() { writeLog('error', 'error', arguments); },
+        warn: function() { writeLog('error', 'warn', arguments); },
+        info: function() { writeLog('info', 'log', arguments); },
+        verbose: function() { writeLog('verbose', 'log', arguments); }
+    };
+    
+    // Lifecycle event -> config.callbacks entry
+    const LIFECYCLE_CALLBACKS = {
+        ready: 'onReady',
+        signal: 'onSignal',
+        success: 'onSuccessDetected',
+        beforeRedirect: 'beforeRedirect',
+        redirect: 'onRedirect',
+        error: 'onError'
     };
     
-    // Keywords that might appear in success URLs or messages
-    const SUCCESS_INDICATORS = [
-        'thank',
-        'success',
-        'confirm',
-        'complete',
-        'booked',
-        'scheduled',
-        'appointment-confirmed'
-    ];
+    // Known postMessage shapes, keyed by typed event. Incoming messages are
+    // matched on their type/event/action name (case-insensitive).
+    // Provider profiles add their own, see parseMessage().
+    const MESSAGE_TYPES = {
+        resize: [
+            'resize',
+            'setheight',
+            'iframeresize'
+        ],
+        stepChange: [
+            'step',
+            'stepchange',
+            'step_change',
+            'pagechange'
+        ],
+        bookingCreated: [
+            'bookingcreated',
+            'booking_created',
+            'bookingcomplete',
+            'appointmentbooked'
+        ],
+        bookingFailed: [
+            'bookingfailed',
+            'booking_failed'
+        ]
+    };
+    
+    // AppointmentCore events: "appointmentcore:<event>" from the booking
+    // page, "booking-link-embed:<event>" from its embed helper
+    const APPOINTMENTCORE_EVENTS = {
+        resize: 'resize',
+        step: 'stepChange',
+        booking_created: 'bookingCreated',
+        booking_failed: 'bookingFailed'
+    };
+    
+    // Cal.com embed methods for a completed booking
+    const CALCOM_BOOKED = ['bookingSuccessful', 'bookingSuccessfulV2', 'rescheduleBookingSuccessful', 'rescheduleBookingSuccessfulV2'];
+    
+    // Effective base configuration, set by init()
+    let CONFIG = null;
+    
+    // Runtime state
+    const STATE = {
+        initialized: false,
+        loadingOverlay: null,
+        instances: [], // One per booking iframe, see createInstance()
+        iframeCount: 0, // Used for ids of iframes without an id attribute
+        iframeObserver: null, // Picks up booking iframes added later
+        activeInstance: null, // Iframe the visitor last interacted with
+        pendingRedirect: null, // { instance, method, destination, recorded, deadline, timer, countdown }
+        debugPanel: null, // { element, timer }, see showDebugPanel()
+        modals: [], // Close functions of the open 'modal' dialogs, see showModal()
+        recorder: null, // { recording, start, cleanups, saveTimer }, see startRecording()
+        flushing: {} // Queued analytics events being sent, see flushAnalyticsQueue()
+    };
+    
+    // Detector registry: name -> { setup, teardown }
+    const DETECTORS = {};
+    
+    // Analytics adapter registry: name -> send(event, options)
+    const ANALYTICS = {};
+    
+    // Booking provider profiles: name -> { origins, match, parseMessage, urlPatterns, rewriteSrc }
+    const PROVIDERS = {};
     
     /**
      * Initialize the redirect handler
+     * Returns true on success, false if the options are invalid or the
+     * iframe cannot be found.
      */
-    function init() {
-        CONFIG.iframe = document.getElementById('booking-iframe');
-        CONFIG.loadingOverlay = document.getElementById('loadingOverlay');
+    function init(options) {
+        if (STATE.initialized) {
+            log.warn('Redirect handler already initialized');
+            return false;
+        }
         
-        if (!CONFIG.iframe) {
-            console.error('Booking iframe not found');
-            return;
+        const config = deepMerge(deepMerge({}, DEFAULTS), options || {});
+        const errors = validateConfig(config);
+        
+        if (errors.length > 0) {
+            log.error('Invalid redirect handler options:\n- ' + errors.join('\n- '));
+            emit('error', { type: 'config', message: errors.join('; ') }, null, config);
+            loadDataSrcIframes(config.iframeSelector);
+            return false;
+        }
+        
+        CONFIG = config;
+        configureLogger(CONFIG.debug);
+        STATE.loadingOverlay = document.querySelector(CONFIG.loadingOverlaySelector);
+        
+        STATE.initialized = true;
+        window.addEventListener('blur', trackActiveIframe);
+        window.addEventListener('pagehide', onPageHide);
+        window.addEventListener('pageshow', onPageShow);
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        flushAnalyticsQueue();
+        
+        if (CONFIG.debug.record) {
+            startRecording();
         }
         
-        console.log('Redirect handler initialized');
+        document.querySelectorAll(CONFIG.iframeSelector).forEach(attachIframe);
+        watchForIframes();
         
-        // Method 1: Listen for postMessage from iframe
-        setupPostMessageListener();
+        if (STATE.instances.length === 0) {
+            log.info('Booking iframe not found yet, watching for:', CONFIG.iframeSelector);
+        }
         
-        // Method 2: Monitor iframe URL changes (if accessible)
-        setupUrlMonitoring();
+        if (CONFIG.debug.panel) {
+            showDebugPanel();
+        }
         
-        // Method 3: Monitor for DOM changes around iframe
-        setupMutationObserver();
+        log.info(`Redirect handler initialized (${STATE.instances.length} iframe(s))`);
         
-        // Method 4: Watch for navigation events
-        setupNavigationWatcher();
+        emit('ready', {
+            iframes: STATE.instances.map(function(instance) {
+                return instance.id;
+            })
+        });
         
-        // Method 5: Custom event listener (if booking system dispatches events)
-        setupCustomEventListener();
+        return true;
     }
     
     /**
-     * Method 1: PostMessage API
-     * Listen for messages from the iframe (if the booking system supports it)
+     * Start handling a booking iframe, unless it is already handled
+     * Returns the new instance, or null.
      */
-    function setupPostMessageListener() {
-        window.addEventListener('message', function(event) {
-            // Verify origin for security
-            if (!event.origin.includes('appointmentcore.com')) {
-                return;
-            }
-            
-            console.log('PostMessage received:', event.data);
-            
-            // Check if message indicates success
-            if (isSuccessMessage(event.data)) {
-                console.log('Success detected via postMessage');
-                triggerRedirect('postMessage');
-            }
+    function attachIframe(iframe) {
+        if (findInstance(iframe)) {
+            return null;
+        }
+        
+        const instance = createInstance(iframe, STATE.iframeCount++);
+        
+        if (!instance) {
+            loadDataSrc(iframe);
+            return null;
+        }
+        
+        STATE.instances.push(instance);
+        
+        if (STATE.recorder) {
+            recordInstance(instance);
+        }
+        
+        setIframeSrc(instance);
+        
+        Object.keys(DETECTORS).forEach(function(name) {
+            startDetector(instance, name);
         });
         
-        console.log('PostMessage listener setup complete');
+        if (instance.config.fallback.showManualButton) {
+            scheduleManualButton(instance, instance.config.fallback.manualButtonDelay);
+        }
+        
+        return instance;
     }
     
     /**
-     * Method 2: URL Monitoring
-     * Periodically check if iframe URL has changed to success page
+     * Load iframes declared with data-src, adding the provider profile's
+     * parameters and the return/callback parameter if
+     * fallback.tryCallbackParam is on. A plain src is only changed while
+     * nothing has loaded yet, since the booking page would load twice.
      */
-    function setupUrlMonitoring() {
-        let lastUrl = '';
+    function setIframeSrc(instance) {
+        const iframe = instance.iframe;
+        const fallback = instance.config.fallback;
+        const profile = getProvider(instance.config);
+        const dataSrc = iframe.dataset.src;
+        const src = dataSrc || iframe.getAttribute('src');
         
-        const urlChecker = setInterval(function() {
-            try {
-                // This will throw an error if cross-origin, but worth trying
-                const currentUrl = CONFIG.iframe.contentWindow.location.href;
-                
-                if (currentUrl !== lastUrl) {
-                    lastUrl = currentUrl;
-                    console.log('URL changed:', currentUrl);
-                    
-                    if (isSuccessUrl(currentUrl)) {
-                        console.log('Success detected via URL monitoring');
-                        clearInterval(urlChecker);
-                        triggerRedirect('urlMonitoring');
-                    }
-                }
-            } catch (e) {
-                // Expected for cross-origin iframes
-                // Silently continue
-            }
-        }, CONFIG.checkInterval);
+        if (!src || src === 'about:blank') {
+            return;
+        }
+        
+        const url = new URL(src, window.location.href);
+        
+        if (profile && profile.rewriteSrc && matchesProvider(profile, url)) {
+            profile.rewriteSrc(url);
+        }
+        
+        if (!fallback.tryCallbackParam) {
+            // Load as is
+        } else if (!isAllowedOrigin(url.origin, instance.config)) {
+            log.verbose('Not adding callback parameter for origin:', url.origin);
+        } else if (!url.searchParams.has(fallback.callbackParamName)) {
+            const callbackUrl = fallback.callbackUrl
+                ? new URL(fallback.callbackUrl, window.location.href).href
+                : buildRedirectUrl(instance, 'callback');
+            
+            url.searchParams.set(fallback.callbackParamName, callbackUrl);
+            log.verbose(`Callback parameter added (iframe: ${instance.id}):`, fallback.callbackParamName, callbackUrl);
+        }
+        
+        if (url.href === iframe.src) {
+            return;
+        }
+        
+        if (!dataSrc && hasLoaded(iframe)) {
+            log.info(`Iframe ${instance.id} has loaded already, its src is left as is; use data-src to add:`, url.href);
+            return;
+        }
         
-        console.log('URL monitoring setup complete');
+        iframe.src = url.href;
     }
     
     /**
-     * Method 3: Mutation Observer
-     * Watch for DOM changes that might indicate completion
+     * Load a data-src iframe as declared when the handler can't take it on
+     * (invalid options), so that a configuration error never hides the
+     * booking page
      */
-    function setupMutationObserver() {
-        const observer = new MutationObserver(function(mutations) {
+    function loadDataSrc(iframe) {
+        const src = iframe.getAttribute('src');
+        
+        if (iframe.dataset.src && (!src || src === 'about:blank')) {
+            iframe.src = iframe.dataset.src;
+        }
+    }
+    
+    function loadDataSrcIframes(selector) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', function() {
+                loadDataSrcIframes(selector);
+            });
+            return;
+        }
+        
+        let iframes = null;
+        
+        try {
+            iframes = document.querySelectorAll(typeof selector === 'string' && selector ? selector : DEFAULTS.iframeSelector);
+        } catch (e) {
+            iframes = document.querySelectorAll(DEFAULTS.iframeSelector);
+        }
+        
+        Array.prototype.forEach.call(iframes, loadDataSrc);
+    }
+    
+    /**
+     * Whether an iframe shows anything but its initial about:blank. Other
+     * origins' pages can't be read, so those count as loaded.
+     */
+    function hasLoaded(iframe) {
+        try {
+            return iframe.contentWindow.location.href !== 'about:blank';
+        } catch (e) {
+            return true;
+        }
+    }
+    
+    /**
+     * Attach matching iframes added to the page after init()
+     */
+    function watchForIframes() {
+        STATE.iframeObserver = new MutationObserver(function(mutations) {
             mutations.forEach(function(mutation) {
-                // Check if new nodes contain success indicators
                 mutation.addedNodes.forEach(function(node) {
-                    if (node.nodeType === 1) { // Element node
-                        const text = node.textContent || node.innerText || '';
-                        if (containsSuccessIndicator(text)) {
-                            console.log('Success detected via mutation observer');
-                            observer.disconnect();
-                            triggerRedirect('mutationObserver');
+                    if (node.nodeType !== 1) return;
+                    
+                    const iframes = node.matches(CONFIG.iframeSelector) ? [node]
+                        : Array.prototype.slice.call(node.querySelectorAll(CONFIG.iframeSelector));
+                    
+                    iframes.forEach(function(iframe) {
+                        const instance = attachIframe(iframe);
+                        if (instance) {
+                            log.info('Booking iframe added:', instance.id);
                         }
-                    }
+                    });
                 });
             });
         });
         
-        // Observe the body for any changes
-        observer.observe(document.body, {
+        STATE.iframeObserver.observe(document.body, {
             childList: true,
-            subtree: true,
-            characterData: true
+            subtree: true
         });
-        
-        console.log('Mutation observer setup complete');
     }
     
     /**
-     * Method 4: Navigation Watcher
-     * Monitor for beforeunload or other navigation events from iframe
+     * Create the state for one booking iframe
+     * Its options are CONFIG, overridden by matching CONFIG.iframes entries
+     * and by the iframe's data attributes.
      */
-    function setupNavigationWatcher() {
-        CONFIG.iframe.addEventListener('load', function() {
-            console.log('Iframe loaded/reloaded');
-            
-            // Check if the new URL (if accessible) indicates success
-            try {
-                const url = CONFIG.iframe.contentWindow.location.href;
-                if (isSuccessUrl(url)) {
-                    console.log('Success detected via navigation watcher');
-                    triggerRedirect('navigationWatcher');
-                }
-            } catch (e) {
-                // Cross-origin restriction
+    function createInstance(iframe, index) {
+        const id = iframe.id || 'iframe-' + (index + 1);
+        const config = deepMerge({}, CONFIG);
+        
+        CONFIG.iframes.forEach(function(entry) {
+            if (iframe.matches(entry.selector)) {
+                const overrides = deepMerge({}, entry);
+                delete overrides.selector;
+                deepMerge(config, overrides);
             }
         });
         
-        console.log('Navigation watcher setup complete');
+        deepMerge(config, readDataOptions(iframe));
+        
+        const errors = validateConfig(config);
+        
+        if (errors.length > 0) {
+            log.error(`Invalid options for iframe ${id}:\n- ` + errors.join('\n- '));
+            emit('error', { type: 'config', iframe: id, message: errors.join('; ') });
+            return null;
+        }
+        
+        const src = iframe.dataset.src || iframe.getAttribute('src');
+        const detectProvider = config.provider === 'auto';
+        
+        if (applyProvider(config, src)) {
+            log.verbose(`Provider profile (iframe: ${id}):`, config.provider);
+        } else if (detectProvider && (!src || src === 'about:blank')) {
+            log.verbose(`No src yet, the provider profile is picked once it is set (iframe: ${id})`);
+        } else if (config.allowedOrigins.length === 0 && config.methods.postMessage !== false) {
+            log.warn(`No provider profile matches iframe ${id} and allowedOrigins is empty, its postMessages are ignored`);
+        }
+        
+        const instance = {
+            id: id,
+            iframe: iframe,
+            config: config,
+            redirectAttempts: 0, // Navigations for the pending redirect
+            redirectFailed: false,
+            actionDone: false, // An action that keeps the page has run
+            pollers: [], // Created with context.poll(), see createPoller()
+            pollingPaused: false, // Booking detected
+            pollingDeadline: config.maxPollingTime === null ? Infinity : Date.now() + config.maxPollingTime,
+            evidence: [], // Signals within the scoring window
+            dryRun: null, // Last redirect skipped by debug.dryRun: { method, destination, time }
+            detectors: {}, // name -> { handle, context }
+            manualButton: { element: null, timers: [], interacted: false },
+            srcObserver: null // provider 'auto' without a matching profile, see watchIframeSrc()
+        };
+        
+        if (detectProvider && config.provider === null) {
+            instance.srcObserver = watchIframeSrc(instance);
+        }
+        
+        return instance;
     }
     
     /**
-     * Method 5: Custom Event Listener
-     * Listen for custom events that might be dispatched by the booking system
+     * Pick the provider profile when the src of an iframe that had none
+     * matching is set later, e.g. by the provider's embed script, and
+     * rewrite the src like setIframeSrc() does at init. The detectors share
+     * config, so they use the profile's origins from then on.
      */
-    function setupCustomEventListener() {
-        const eventNames = [
-            'appointmentBooked',
-            'bookingComplete',
-            'bookingSuccess',
-            'appointmentSubmitted',
-            'formSubmitted'
-        ];
+    function watchIframeSrc(instance) {
+        const iframe = instance.iframe;
+        const config = instance.config;
         
-        eventNames.forEach(function(eventName) {
-            window.addEventListener(eventName, function(event) {
-                console.log('Custom event detected:', eventName, event.detail);
-                triggerRedirect('customEvent');
-            });
+        const observer = new MutationObserver(function() {
+            config.provider = 'auto';
+            
+            if (applyProvider(config, iframe.getAttribute('src'))) {
+                log.info(`Provider profile (iframe: ${instance.id}, src changed):`, config.provider);
+                observer.disconnect();
+                setIframeSrc(instance);
+            }
         });
         
-        console.log('Custom event listeners setup complete');
+        observer.observe(iframe, { attributes: true, attributeFilter: ['src'] });
+        return observer;
     }
     
     /**
-     * Check if a message indicates success
+     * Options from an iframe's data attributes:
+     *   data-appointment-redirect / data-redirect-url - redirectUrl
+     *   data-redirect-delay                           - redirectDelay (ms)
+     *   data-success-patterns                         - comma-separated urlPatterns
+     *   data-redirect-action                          - action (by name)
+     *   data-provider                                 - provider profile name
      */
-    function isSuccessMessage(data) {
-        if (!data) return false;
+    function readDataOptions(iframe) {
+        const data = iframe.dataset;
+        const options = {};
+        const redirectUrl = data.appointmentRedirect || data.redirectUrl;
         
-        // Check if data is an object with success property
-        if (typeof data === 'object' && data.success === true) {
-            return true;
+        if (redirectUrl) {
+            options.redirectUrl = redirectUrl;
         }
         
-        if (typeof data === 'object' && data.status === 'success') {
-            return true;
+        if (data.redirectDelay !== undefined) {
+            options.redirectDelay = data.redirectDelay.trim() === '' ? NaN : Number(data.redirectDelay);
         }
         
-        if (typeof data === 'object' && data.type === 'bookingComplete') {
-            return true;
+        if (data.successPatterns !== undefined) {
+            options.successIndicators = {
+                urlPatterns: data.successPatterns.split(',').map(function(pattern) {
+                    return pattern.trim();
+                }).filter(Boolean)
+            };
+        }
+        
+        if (data.redirectAction !== undefined) {
+            options.action = data.redirectAction.trim();
+        }
+        
+        if (data.provider !== undefined) {
+            options.provider = data.provider.trim();
         }
         
-        // Check string content
-        const dataStr = JSON.stringify(data).toLowerCase();
-        return SUCCESS_INDICATORS.some(indicator => dataStr.includes(indicator));
+        return options;
     }
     
     /**
-     * Check if URL indicates success
+     * Find the instance for an iframe element, its id or its contentWindow
      */
-    function isSuccessUrl(url) {
-        if (!url) return false;
+    function findInstance(target) {
+        if (!target) return null;
         
-        const urlLower = url.toLowerCase();
-        return SUCCESS_INDICATORS.some(indicator => urlLower.includes(indicator));
+        return STATE.instances.find(function(instance) {
+            return instance.iframe === target ||
+                instance.id === target ||
+                instance.iframe.contentWindow === target;
+        }) || null;
+    }
+    
+    /**
+     * Remember which iframe the visitor interacts with. Focus moving into
+     * an iframe blurs the parent window and makes the iframe activeElement.
+     */
+    function trackActiveIframe() {
+        setTimeout(function() {
+            const instance = findInstance(document.activeElement);
+            if (instance) {
+                STATE.activeInstance = instance;
+                onIframeInteraction(instance);
+            }
+        }, 0);
     }
     
     /**
-     * Check if text contains success indicators
+     * Whether a page-level observation belongs to an instance: it does if
+     * the target resolves to its iframe, or if the target is unknown and
+     * the instance is the only or the last active one.
      */
-    function containsSuccessIndicator(text) {
-        if (!text) return false;
+    function isTargetOf(instance, target) {
+        const owner = findInstance(target);
+        
+        if (owner) {
+            return owner === instance;
+        }
         
-        const textLower = text.toLowerCase();
-        return SUCCESS_INDICATORS.some(indicator => textLower.includes(indicator));
+        return STATE.instances.length === 1 || STATE.activeInstance === instance;
     }
     
     /**
-     * Trigger the redirect with loading overlay
+     * Initialize with ADVANCED_CONFIG unless init() was already called
      */
-    function triggerRedirect(method) {
-        // Prevent multiple redirects
-        if (CONFIG.redirectAttempts >= CONFIG.maxRedirectAttempts) {
-            console.log('Max redirect attempts reached');
+    function autoInit() {
+        if (STATE.initialized) {
             return;
         }
         
-        CONFIG.redirectAttempts++;
+        init(typeof ADVANCED_CONFIG !== 'undefined' ? ADVANCED_CONFIG : {});
+    }
+    
+    /**
+     * Register a detection method
+     * setupFn(context) starts the detector for one iframe and may return a
+     * handle; teardownFn(handle, context) stops it. Detectors registered
+     * after init() start immediately if enabled in the iframe's methods.
+     * options.defaultEnabled: false makes it opt-in, i.e. it only runs when
+     * methods[name] is true (default: runs unless methods[name] is false).
+     */
+    function register(name, setupFn, teardownFn, options) {
+        if (typeof name !== 'string' || !name) {
+            log.error('Detector name must be a non-empty string');
+            return false;
+        }
+        
+        if (typeof setupFn !== 'function' || (teardownFn && typeof teardownFn !== 'function')) {
+            log.error('Detector setup/teardown must be functions:', name);
+            return false;
+        }
+        
+        STATE.instances.forEach(function(instance) {
+            stopDetector(instance, name);
+        });
+        
+        DETECTORS[name] = {
+            setup: setupFn,
+            teardown: teardownFn || null,
+            defaultEnabled: !options || options.defaultEnabled !== false
+        };
+        
+        STATE.instances.forEach(function(instance) {
+            startDetector(instance, name);
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Whether a detection method runs: as set in methods, otherwise as
+     * registered
+     */
+    function isMethodEnabled(config, name) {
+        if (typeof config.methods[name] === 'boolean') {
+            return config.methods[name];
+        }
         
-        console.log(`Triggering redirect (method: ${method}, attempt: ${CONFIG.redirectAttempts})`);
+        return !DETECTORS[name] || DETECTORS[name].defaultEnabled;
+    }
+    
+    /**
+     * Start a registered detector for an iframe if it is enabled
+     */
+    function startDetector(instance, name) {
+        const detector = DETECTORS[name];
         
-        // Show loading overlay
-        if (CONFIG.loadingOverlay) {
-            CONFIG.loadingOverlay.classList.add('active');
+        if (!detector || instance.detectors[name] || !isMethodEnabled(instance.config, name)) {
+            return;
         }
         
-        // Optional: Send analytics event
-        trackRedirect(method);
+        const context = createContext(instance, name);
         
-        // Perform redirect after delay
-        setTimeout(function() {
-            window.location.href = CONFIG.redirectUrl;
-        }, CONFIG.redirectDelay);
+        try {
+            instance.detectors[name] = {
+                handle: detector.setup(context),
+                context: context
+            };
+        } catch (e) {
+            log.error('Detector failed to start:', name, instance.id, e);
+            emit('error', { type: 'detector', message: 'Detector failed to start: ' + name, error: e }, instance);
+        }
     }
     
     /**
-     * Track redirect for analytics (optional)
+     * Stop a running detector for an iframe
      */
-    function trackRedirect(method) {
+    function stopDetector(instance, name) {
+        const detector = DETECTORS[name];
+        const running = instance.detectors[name];
+        
+        if (!running) {
+            return;
+        }
+        
         try {
-            // Google Analytics 4
-            if (typeof gtag !== 'undefined') {
-                gtag('event', 'appointment_complete', {
-                    'method': method,
-                    'redirect_url': CONFIG.redirectUrl
-                });
-            }
-            
-            // Google Analytics Universal
-            if (typeof ga !== 'undefined') {
-                ga('send', 'event', 'Appointment', 'Complete', method);
-            }
-            
-            // Facebook Pixel
-            if (typeof fbq !== 'undefined') {
-                fbq('track', 'Schedule', {
-                    method: method
-                });
+            if (detector.teardown) {
+                detector.teardown(running.handle, running.context);
             }
-            
-            console.log('Analytics tracked:', method);
         } catch (e) {
-            console.log('Analytics tracking failed:', e);
+            log.error('Detector failed to stop:', name, instance.id, e);
         }
+        
+        // Pollers the teardown didn't stop
+        instance.pollers.filter(function(poller) {
+            return poller.detector === name;
+        }).forEach(function(poller) {
+            poller.stop();
+        });
+        
+        delete instance.detectors[name];
     }
     
     /**
-     * Manual trigger function (can be called from console or by custom button)
+     * Polling for detectors: runs fn every interval ms while the page is
+     * visible, no booking has been detected and maxPollingTime hasn't
+     * passed. Returns a handle with stop().
      */
-    window.triggerManualRedirect = function() {
-        console.log('Manual redirect triggered');
-        triggerRedirect('manual');
-    };
-    
-    // Initialize when DOM is ready
+    function createPoller(instance, name, fn, interval) {
+        const poller = {
+            detector: name,
+            timer: null,
+            tick: function() {
+                if (Date.now() >= instance.pollingDeadline) {
+                    log.info(`Polling stopped after maxPollingTime (detector: ${name}, iframe: ${instance.id})`);
+                    poller.stop();
+                    return;
+                }
+                
+                fn();
+            },
+            interval: interval,
+            stop: function() {
+                pausePoller(poller);
+                instance.pollers = instance.pollers.filter(function(other) {
+                    return other !== poller;
+                });
+            }
+        };
+        
+        instance.pollers.push(poller);
+        resumePoller(instance, poller);
+        
+        return poller;
+    }
+    
+    function resumePoller(instance, poller) {
+        if (!poller.timer && !document.hidden && !instance.pollingPaused) {
+            poller.timer = setInterval(poller.tick, poller.interval);
+        }
+    }
+    
+    function pausePoller(poller) {
+        clearInterval(poller.timer);
+        poller.timer = null;
+    }
+    
+    /**
+     * Pause or resume polling for an iframe (booking detected, redirect
+     * cancelled) or, without an instance, for the page (visibility)
+     */
+    function setPolling(instance, active) {
+        (instance ? [instance] : STATE.instances).forEach(function(target) {
+            if (instance) {
+                target.pollingPaused = !active;
+            }
+            
+            target.pollers.forEach(function(poller) {
+                if (active) {
+                    resumePoller(target, poller);
+                } else {
+                    pausePoller(poller);
+                }
+            });
+        });
+    }
+    
+    function onVisibilityChange() {
+        setPolling(null, !document.hidden);
+    }
+    
+    /**
+     * Context passed to a detector's setup and teardown functions
+     */
+    function createContext(instance, name) {
+        const config = instance.config;
+        
+        return {
+            name: name,
+            id: instance.id,
+            config: config,
+            iframe: instance.iframe,
+            log: createDetectorLog(name, instance.id),
+            isTarget: function(target) {
+                return isTargetOf(instance, target);
+            },
+            poll: function(fn, interval) {
+                return createPoller(instance, name, fn, interval || config.checkInterval);
+            },
+            isSuccessMessage: function(data) {
+                return isSuccessMessage(data, config);
+            },
+            isSuccessUrl: function(url) {
+                return isSuccessUrl(url, config);
+            },
+            containsSuccessIndicator: function(text) {
+                return containsSuccessIndicator(text, config);
+            },
+            scoreText: function(text) {
+                return scoreText(text, config);
+            },
+            signal: function(confidence, data) {
+                reportSignal(instance, name, confidence, data);
+            },
+            triggerRedirect: function(data) {
+                reportSignal(instance, name, 1, data);
+            }
+        };
+    }
+    
+    /**
+     * The logger for a detector context, naming the detector and iframe
+     */
+    function createDetectorLog(name, id) {
+        const tag = `${name} [${id}]:`;
+        
+        return Object.keys(log).reduce(function(detectorLog, level) {
+            detectorLog[level] = function() {
+                log[level].apply(null, [tag].concat(Array.prototype.slice.call(arguments)));
+            };
+            return detectorLog;
+        }, {});
+    }
+    
+    /**
+     * Recursively merge plain objects from source into target
+     * Arrays and other values are replaced, not merged.
+     */
+    function deepMerge(target, source) {
+        Object.keys(source).forEach(function(key) {
+            const value = source[key];
+            
+            if (isPlainObject(value)) {
+                if (!isPlainObject(target[key])) {
+                    target[key] = {};
+                }
+                deepMerge(target[key], value);
+            } else if (Array.isArray(value)) {
+                target[key] = value.slice();
+            } else {
+                target[key] = value;
+            }
+        });
+        
+        return target;
+    }
+    
+    function isPlainObject(value) {
+        return Object.prototype.toString.call(value) === '[object Object]';
+    }
+    
+    /**
+     * Validate merged options, returning a list of problems
+     */
+    function validateConfig(config) {
+        const errors = [];
+        
+        if (typeof config.redirectUrl !== 'string' || !isHttpUrl(config.redirectUrl)) {
+            errors.push('redirectUrl must be an http(s) URL');
+        }
+        
+        if (typeof config.appendSourceParam !== 'boolean') {
+            errors.push('appendSourceParam must be a boolean');
+        }
+        
+        if (typeof config.sourceParamName !== 'string' || !config.sourceParamName) {
+            errors.push('sourceParamName must be a non-empty string');
+        }
+        
+        if (typeof config.sourceParamValue !== 'string') {
+            errors.push('sourceParamValue must be a string');
+        }
+        
+        if (!isStringArray(config.carryOverParams)) {
+            errors.push('carryOverParams must be an array of strings');
+        }
+        
+        if (typeof config.action !== 'function' && ACTIONS.indexOf(config.action) === -1) {
+            errors.push('action must be a function or one of: ' + ACTIONS.join(', '));
+        }
+        
+        if (config.actionHtml !== null && typeof config.actionHtml !== 'string') {
+            errors.push('actionHtml must be a string or null');
+        }
+        
+        if (!Array.isArray(config.routes)) {
+            errors.push('routes must be an array');
+        } else {
+            config.routes.forEach(function(route, index) {
+                if (!isPlainObject(route) || typeof route.redirectUrl !== 'string' || !isHttpUrl(route.redirectUrl)) {
+                    errors.push('routes[' + index + '].redirectUrl must be an http(s) URL');
+                } else if (!isPlainObject(route.match) && typeof route.match !== 'function') {
+                    errors.push('routes[' + index + '].match must be an object or a function');
+                }
+            });
+        }
+        
+        if (typeof config.iframeSelector !== 'string' || !config.iframeSelector) {
+            errors.push('iframeSelector must be a non-empty string');
+        }
+        
+        ['redirectDelay', 'checkInterval', 'retryDelay', 'beforeRedirectTimeout'].forEach(function(key) {
+            if (typeof config[key] !== 'number' || !isFinite(config[key]) || config[key] < 0) {
+                errors.push(key + ' must be a non-negative number');
+            }
+        });
+        
+        if (config.checkInterval === 0) {
+            errors.push('checkInterval must be greater than 0');
+        }
+        
+        if (config.maxPollingTime !== null && (typeof config.maxPollingTime !== 'number' || !(config.maxPollingTime > 0))) {
+            errors.push('maxPollingTime must be a positive number or null');
+        }
+        
+        if (typeof config.showCountdown !== 'boolean') {
+            errors.push('showCountdown must be a boolean');
+        }
+        
+        const overlay = config.overlay || {};
+        if (overlay.locale !== null && typeof overlay.locale !== 'string') {
+            errors.push('overlay.locale must be a string or null');
+        }
+        
+        if (!isPlainObject(overlay.text) || !isPlainObject(overlay.messages) || !isPlainObject(overlay.messages.en)) {
+            errors.push('overlay.text and overlay.messages (with an "en" entry) must be objects');
+        }
+        
+        if (!Number.isInteger(config.maxRedirectAttempts) || config.maxRedirectAttempts < 1) {
+            errors.push('maxRedirectAttempts must be a positive integer');
+        }
+        
+        const debug = config.debug || {};
+        if (LOG_LEVELS.indexOf(debug.level) === -1) {
+            errors.push('debug.level must be one of: ' + LOG_LEVELS.join(', '));
+        }
+        
+        if (typeof debug.logPrefix !== 'string' || typeof debug.panel !== 'boolean' ||
+            typeof debug.record !== 'boolean' || typeof debug.dryRun !== 'boolean') {
+            errors.push('debug.logPrefix must be a string, debug.panel, debug.record and debug.dryRun booleans');
+        }
+        
+        const indicators = config.successIndicators || {};
+        ['urlPatterns', 'messagePatterns', 'cssClasses', 'dataAttributes'].forEach(function(key) {
+            if (!isStringArray(indicators[key])) {
+                errors.push('successIndicators.' + key + ' must be an array of strings');
+            }
+        });
+        
+        const observer = config.mutationObserver || {};
+        if (observer.container !== null && !isSelector(observer.container)) {
+            errors.push('mutationObserver.container must be a valid CSS selector or null');
+        }
+        
+        if (!isStringArray(observer.ignoreSelectors) || !observer.ignoreSelectors.every(isSelector)) {
+            errors.push('mutationObserver.ignoreSelectors must be an array of valid CSS selectors');
+        }
+        
+        const scoring = config.scoring || {};
+        ['threshold', 'window'].forEach(function(key) {
+            if (typeof scoring[key] !== 'number' || !(scoring[key] > 0)) {
+                errors.push('scoring.' + key + ' must be a positive number');
+            }
+        });
+        
+        ['keywordWeight', 'negativeWeight'].forEach(function(key) {
+            if (typeof scoring[key] !== 'number' || !isFinite(scoring[key])) {
+                errors.push('scoring.' + key + ' must be a number');
+            }
+        });
+        
+        ['keywordWeights', 'methodWeights'].forEach(function(key) {
+            if (!isNumberMap(scoring[key])) {
+                errors.push('scoring.' + key + ' must map names to numbers');
+            }
+        });
+        
+        if (!isStringArray(scoring.negativePatterns)) {
+            errors.push('scoring.negativePatterns must be an array of strings');
+        }
+        
+        if (!isPlainObject(config.methods) || !Object.keys(config.methods).every(function(key) {
+            return typeof config.methods[key] === 'boolean';
+        })) {
+            errors.push('methods must map method names to booleans');
+        }
+        
+        if (config.provider !== 'auto' && config.provider !== null && !PROVIDERS.hasOwnProperty(config.provider)) {
+            errors.push('provider must be \'auto\', null or one of: ' + Object.keys(PROVIDERS).join(', '));
+        }
+        
+        if (!isStringArray(config.allowedOrigins) || !config.allowedOrigins.every(isOrigin)) {
+            errors.push('allowedOrigins must be an array of origins like https://go.appointmentcore.com');
+        }
+        
+        if (!Array.isArray(config.iframes) || !config.iframes.every(function(entry) {
+            return isPlainObject(entry) && typeof entry.selector === 'string' && entry.selector;
+        })) {
+            errors.push('iframes must be an array of objects with a selector');
+        }
+        
+        if (!isStringArray(config.customEventNames)) {
+            errors.push('customEventNames must be an array of strings');
+        }
+        
+        errors.push.apply(errors, validateAnalytics(config.analytics));
+        
+        const callbacks = config.callbacks || {};
+        Object.keys(DEFAULTS.callbacks).forEach(function(name) {
+            if (callbacks[name] !== null && typeof callbacks[name] !== 'function') {
+                errors.push('callbacks.' + name + ' must be a function or null');
+            }
+        });
+        
+        const fallback = config.fallback || {};
+        if (typeof fallback.showManualButton !== 'boolean') {
+            errors.push('fallback.showManualButton must be a boolean');
+        }
+        
+        if (typeof fallback.manualButtonDelay !== 'number' || fallback.manualButtonDelay < 0) {
+            errors.push('fallback.manualButtonDelay must be a non-negative number');
+        }
+        
+        if (fallback.manualButtonAfterInteraction !== null
+            && (typeof fallback.manualButtonAfterInteraction !== 'number' || fallback.manualButtonAfterInteraction < 0)) {
+            errors.push('fallback.manualButtonAfterInteraction must be a non-negative number or null');
+        }
+        
+        if (typeof fallback.useLocalStorage !== 'boolean') {
+            errors.push('fallback.useLocalStorage must be a boolean');
+        }
+        
+        if (fallback.storageArea !== 'local' && fallback.storageArea !== 'session') {
+            errors.push('fallback.storageArea must be "local" or "session"');
+        }
+        
+        if (typeof fallback.storageKey !== 'string' || !fallback.storageKey) {
+            errors.push('fallback.storageKey must be a non-empty string');
+        }
+        
+        if (typeof fallback.storageDuration !== 'number' || fallback.storageDuration < 0) {
+            errors.push('fallback.storageDuration must be a non-negative number');
+        }
+        
+        if (typeof fallback.tryCallbackParam !== 'boolean') {
+            errors.push('fallback.tryCallbackParam must be a boolean');
+        }
+        
+        if (typeof fallback.callbackParamName !== 'string' || !fallback.callbackParamName) {
+            errors.push('fallback.callbackParamName must be a non-empty string');
+        }
+        
+        if (fallback.callbackUrl !== null && !isHttpUrl(fallback.callbackUrl)) {
+            errors.push('fallback.callbackUrl must be an http(s) URL or null');
+        }
+        
+        return errors;
+    }
+    
+    function validateAnalytics(analytics) {
+        const errors = [];
+        
+        if (!isPlainObject(analytics) || typeof analytics.enabled !== 'boolean') {
+            return ['analytics must be an object with an enabled flag'];
+        }
+        
+        if (typeof analytics.eventName !== 'string' || !analytics.eventName) {
+            errors.push('analytics.eventName must be a non-empty string');
+        }
+        
+        if (typeof analytics.maxWait !== 'number' || analytics.maxWait < 0) {
+            errors.push('analytics.maxWait must be a non-negative number');
+        }
+        
+        if (typeof analytics.queueKey !== 'string' || !analytics.queueKey) {
+            errors.push('analytics.queueKey must be a non-empty string');
+        }
+        
+        if (typeof analytics.queueDuration !== 'number' || analytics.queueDuration < 0) {
+            errors.push('analytics.queueDuration must be a non-negative number');
+        }
+        
+        Object.keys(analytics).forEach(function(name) {
+            if (isPlainObject(DEFAULTS.analytics[name]) && !isPlainObject(analytics[name])) {
+                errors.push('analytics.' + name + ' must be an object');
+            }
+        });
+        
+        const custom = analytics.custom || {};
+        if (custom.enabled && !isHttpUrl(custom.endpoint)) {
+            errors.push('analytics.custom.endpoint must be an http(s) URL');
+        }
+        
+        if (custom.enabled && custom.method !== 'POST' && custom.method !== 'GET') {
+            errors.push('analytics.custom.method must be "POST" or "GET"');
+        }
+        
+        const linkedin = analytics.linkedin || {};
+        if (linkedin.enabled && !linkedin.conversionId) {
+            errors.push('analytics.linkedin.conversionId is required');
+        }
+        
+        return errors;
+    }
+    
+    function isHttpUrl(value) {
+        try {
+            const url = new URL(value, window.location.href);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (e) {
+            return false;
+        }
+    }
+    
+    function isOrigin(value) {
+        try {
+            return new URL(value).origin === value.replace(/\/$/, '');
+        } catch (e) {
+            return false;
+        }
+    }
+    
+    function isNumberMap(value) {
+        return isPlainObject(value) && Object.keys(value).every(function(key) {
+            return typeof value[key] === 'number' && isFinite(value[key]);
+        });
+    }
+    
+    function isStringArray(value) {
+        return Array.isArray(value) && value.every(function(item) {
+            return typeof item === 'string';
+        });
+    }
+    
+    function isSelector(value) {
+        if (typeof value !== 'string' || !value.trim()) {
+            return false;
+        }
+        
+        try {
+            document.createDocumentFragment().querySelector(value);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+    
+    /**
+     * Method 1: PostMessage API
+     * Listen for messages from the iframe (if the booking system supports it)
+     */
+    function setupPostMessageListener(context) {
+        function onMessage(event) {
+            // Verify origin for security
+            if (!isAllowedOrigin(event.origin, context.config)) {
+                return;
+            }
+            
+            // Attribute the message to its iframe via event.source
+            if (!context.isTarget(event.source)) {
+                return;
+            }
+            
+            // Unknown message shapes are ignored
+            const message = parseMessage(event.data, context.config);
+            if (!message) {
+                return;
+            }
+            
+            context.log.verbose('Message received:', message.type, message);
+            
+            // Report messages that carry success or failure evidence
+            const result = scoreMessage(message, context.config);
+            if (result.score !== 0) {
+                context.signal(result.score, message);
+            }
+        }
+        
+        window.addEventListener('message', onMessage);
+        
+        context.log.verbose('Listener setup complete');
+        return onMessage;
+    }
+    
+    function teardownPostMessageListener(onMessage) {
+        window.removeEventListener('message', onMessage);
+    }
+    
+    /**
+     * Check an event origin against config.allowedOrigins (exact match)
+     */
+    function isAllowedOrigin(origin, config) {
+        let parsed;
+        
+        try {
+            parsed = new URL(origin).origin;
+        } catch (e) {
+            return false;
+        }
+        
+        return config.allowedOrigins.some(function(allowed) {
+            return new URL(allowed).origin === parsed;
+        });
+    }
+    
+    /**
+     * Parse a postMessage payload into a typed event: with the parser of
+     * config's provider profile, then the generic shapes. JSON strings are
+     * parsed first.
+     * Returns { type, name, raw, ... } for known shapes, or null:
+     *   resize         - { height }
+     *   stepChange     - { step }
+     *   bookingCreated - { bookingId, slotTime, eventType, duration, invitee, answers }
+     *   bookingFailed  - { error }
+     */
+    function parseMessage(data, config) {
+        const profile = getProvider(config);
+        
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                // Not JSON; only a provider parser may know it
+            }
+        }
+        
+        if (profile && profile.parseMessage) {
+            try {
+                const message = profile.parseMessage(data, createMessage);
+                if (message) {
+                    return message;
+                }
+            } catch (e) {
+                log.error('Provider message parser failed:', config.provider, e);
+            }
+        }
+        
+        if (!isPlainObject(data)) {
+            return null;
+        }
+        
+        const name = getMessageName(data);
+        let type = name ? getMessageType(name) : null;
+        
+        // Legacy success/failure flags used by some embed helpers
+        if (!type && (data.success === true || data.status === 'success')) {
+            type = 'bookingCreated';
+        } else if (!type && (data.success === false || data.status === 'error')) {
+            type = 'bookingFailed';
+        }
+        
+        return type ? createMessage(type, name, data) : null;
+    }
+    
+    /**
+     * Typed message with the fields of its type read from payload
+     * (default: data.payload, data.data, data.booking or data itself)
+     */
+    function createMessage(type, name, data, payload) {
+        if (!isPlainObject(payload)) {
+            payload = isPlainObject(data.payload) ? data.payload
+                : isPlainObject(data.data) ? data.data
+                : isPlainObject(data.booking) ? data.booking
+                : isPlainObject(data) ? data
+                : {};
+        }
+        
+        const message = {
+            type: type,
+            name: name || null,
+            raw: data
+        };
+        
+        if (type === 'resize') {
+            message.height = Number(pick(payload, ['height', 'value', 'size'])) || null;
+        } else if (type === 'stepChange') {
+            message.step = String(pick(payload, ['step', 'page', 'view', 'name']) || '');
+        } else if (type === 'bookingCreated') {
+            const invitee = [payload.invitee, payload.customer, payload.contact].find(isPlainObject) || payload;
+            
+            message.bookingId = pick(payload, ['bookingId', 'booking_id', 'appointmentId', 'appointment_id', 'id', 'uuid']);
+            message.slotTime = pick(payload, ['slotTime', 'slot_time', 'startTime', 'start_time', 'start', 'datetime']);
+            message.eventType = pick(payload, ['eventType', 'event_type', 'appointmentType', 'appointment_type', 'service']);
+            message.duration = parseDuration(payload, message.slotTime);
+            message.invitee = {
+                name: pick(invitee, ['name', 'fullName', 'full_name']),
+                email: pick(invitee, ['email']),
+                phone: pick(invitee, ['phone', 'phoneNumber', 'phone_number'])
+            };
+            message.answers = parseAnswers(pick(payload, ['answers', 'questions', 'questionsAndAnswers', 'questions_and_answers', 'customFields', 'custom_fields']) ||
+                pick(invitee, ['answers', 'questions']));
+        } else if (type === 'bookingFailed') {
+            message.error = pick(payload, ['error', 'message', 'reason']);
+        }
+        
+        return message;
+    }
+    
+    /**
+     * Event name of a message: its type, event or action
+     */
+    function getMessageName(data) {
+        return [data.type, data.event, data.action].find(function(value) {
+            return typeof value === 'string' && value;
+        }) || null;
+    }
+    
+    function getMessageType(name) {
+        const lower = name.toLowerCase();
+        
+        return Object.keys(MESSAGE_TYPES).find(function(type) {
+            return MESSAGE_TYPES[type].indexOf(lower) !== -1;
+        }) || null;
+    }
+    
+    /**
+     * Duration in minutes, given directly or derived from start and end
+     */
+    function parseDuration(payload, start) {
+        const duration = Number(pick(payload, ['duration', 'durationMinutes', 'duration_minutes', 'length']));
+        
+        if (duration > 0) {
+            return duration;
+        }
+        
+        const end = Date.parse(pick(payload, ['endTime', 'end_time', 'end']));
+        const minutes = (end - Date.parse(start)) / 60000;
+        
+        return minutes > 0 ? minutes : null;
+    }
+    
+    /**
+     * Custom question answers as { question: answer }
+     * Accepts an object, or a list of { question|label|name, answer|value } entries.
+     */
+    function parseAnswers(answers) {
+        const result = {};
+        
+        if (Array.isArray(answers)) {
+            answers.forEach(function(entry) {
+                if (!isPlainObject(entry)) return;
+                
+                const question = pick(entry, ['question', 'label', 'name', 'key']);
+                if (question !== null) {
+                    result[question] = pick(entry, ['answer', 'value', 'response']);
+                }
+            });
+        } else if (isPlainObject(answers)) {
+            Object.assign(result, answers);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * First defined, non-empty value among the given keys
+     */
+    function pick(source, keys) {
+        for (let i = 0; i < keys.length; i++) {
+            const value = source[keys[i]];
+            if (value !== undefined && value !== null && value !== '') {
+                return value;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Register a booking provider profile (before init()), or replace one.
+     * Profiles are tried in registration order by provider: 'auto'.
+     *   origins     - exact origins of its iframes and postMessages
+     *   match       - optional function(url) for iframe srcs on other
+     *                 hosts (e.g. custom domains); their origin is allowed too
+     *   parseMessage- optional function(data, createMessage) returning a
+     *                 typed message (see parseMessage), or null to fall
+     *                 back to the generic shapes
+     *   urlPatterns - success keywords added to successIndicators.urlPatterns
+     *   rewriteSrc  - optional function(url) adjusting the iframe src URL,
+     *                 e.g. to enable the provider's embed events
+     */
+    function registerProvider(name, profile) {
+        if (typeof name !== 'string' || !name || name === 'auto') {
+            log.error('Provider name must be a non-empty string other than \'auto\'');
+            return false;
+        }
+        
+        if (!isPlainObject(profile) || !isStringArray(profile.origins) || !profile.origins.every(isOrigin)) {
+            log.error('Provider profile needs origins like https://calendly.com:', name);
+            return false;
+        }
+        
+        if (['match', 'parseMessage', 'rewriteSrc'].some(function(key) {
+            return profile[key] && typeof profile[key] !== 'function';
+        }) || (profile.urlPatterns && !isStringArray(profile.urlPatterns))) {
+            log.error('Provider match/parseMessage/rewriteSrc must be functions, urlPatterns strings:', name);
+            return false;
+        }
+        
+        PROVIDERS[name] = {
+            origins: profile.origins.map(function(origin) {
+                return new URL(origin).origin;
+            }),
+            match: profile.match || null,
+            parseMessage: profile.parseMessage || null,
+            urlPatterns: profile.urlPatterns || [],
+            rewriteSrc: profile.rewriteSrc || null
+        };
+        
+        return true;
+    }
+    
+    function getProvider(config) {
+        return config && config.provider ? PROVIDERS[config.provider] || null : null;
+    }
+    
+    /**
+     * Resolve config.provider for an iframe src ('auto': the first profile
+     * matching it) and add the profile's origins and URL patterns to config.
+     * Returns the profile, or null.
+     */
+    function applyProvider(config, src) {
+        let url = null;
+        
+        try {
+            url = src ? new URL(src, window.location.href) : null;
+        } catch (e) {
+            // Not a URL, no profile to detect
+        }
+        
+        const name = config.provider === 'auto' ? findProvider(url) : config.provider;
+        const profile = name ? PROVIDERS[name] : null;
+        
+        config.provider = profile ? name : null;
+        
+        if (!profile) {
+            return null;
+        }
+        
+        const origins = config.allowedOrigins.slice();
+        const patterns = config.successIndicators.urlPatterns.slice();
+        
+        profile.origins.forEach(function(origin) {
+            addOnce(origins, origin);
+        });
+        
+        if (matchesProvider(profile, url)) {
+            addOnce(origins, url.origin);
+        }
+        
+        profile.urlPatterns.forEach(function(pattern) {
+            addOnce(patterns, pattern);
+        });
+        
+        config.allowedOrigins = origins;
+        config.successIndicators.urlPatterns = patterns;
+        
+        return profile;
+    }
+    
+    function findProvider(url) {
+        return Object.keys(PROVIDERS).find(function(name) {
+            return matchesProvider(PROVIDERS[name], url);
+        }) || null;
+    }
+    
+    function matchesProvider(profile, url) {
+        if (!url || !/^https?:$/.test(url.protocol)) {
+            return false;
+        }
+        
+        return profile.origins.indexOf(url.origin) !== -1 || (profile.match !== null && profile.match(url) === true);
+    }
+    
+    function parseAppointmentCoreMessage(data, createMessage) {
+        const name = isPlainObject(data) ? getMessageName(data) : null;
+        const match = name ? /^(?:appointmentcore|booking-link-embed):(.+)$/i.exec(name) : null;
+        const type = match ? APPOINTMENTCORE_EVENTS[match[1].toLowerCase()] : null;
+        
+        return type ? createMessage(type, name, data) : null;
+    }
+    
+    /**
+     * Calendly: { event: 'calendly.<name>', payload }, sent only when the
+     * src names the embedding domain (see rewriteCalendlySrc)
+     */
+    function parseCalendlyMessage(data, createMessage) {
+        const name = isPlainObject(data) ? getMessageName(data) : null;
+        
+        if (!name || name.indexOf('calendly.') !== 0) {
+            return null;
+        }
+        
+        const payload = isPlainObject(data.payload) ? data.payload : {};
+        let message;
+        
+        if (name === 'calendly.event_scheduled') {
+            message = createMessage('bookingCreated', name, data, payload);
+            message.bookingId = pick(isPlainObject(payload.event) ? payload.event : {}, ['uri']) ||
+                pick(isPlainObject(payload.invitee) ? payload.invitee : {}, ['uri']);
+        } else if (name === 'calendly.page_height') {
+            message = createMessage('resize', name, data, payload);
+            message.height = parseFloat(payload.height) || null; // e.g. "1052px"
+        } else {
+            // profile_page_viewed, event_type_viewed, date_and_time_selected
+            message = createMessage('stepChange', name, data, payload);
+            message.step = name.slice('calendly.'.length);
+        }
+        
+        return message;
+    }
+    
+    function rewriteCalendlySrc(url) {
+        if (!url.searchParams.has('embed_domain')) {
+            url.searchParams.set('embed_domain', window.location.hostname);
+        }
+        
+        if (!url.searchParams.has('embed_type')) {
+            url.searchParams.set('embed_type', 'Inline');
+        }
+    }
+    
+    /**
+     * Cal.com: { originator: 'CAL', method, data }, sent in embed mode
+     * (see rewriteCalComSrc). Methods starting with "__" are internal.
+     */
+    function parseCalComMessage(data, createMessage) {
+        if (!isPlainObject(data) || data.originator !== 'CAL' || typeof data.method !== 'string') {
+            return null;
+        }
+        
+        const method = data.method;
+        const payload = isPlainObject(data.data) ? data.data : {};
+        let message = null;
+        
+        if (CALCOM_BOOKED.indexOf(method) !== -1) {
+            // bookingSuccessfulV2 carries the booking, bookingSuccessful wraps it
+            const booking = isPlainObject(payload.booking) ? payload.booking : payload;
+            
+            message = createMessage('bookingCreated', method, data, booking);
+            message.bookingId = pick(booking, ['uid', 'id']);
+            message.slotTime = message.slotTime || pick(payload, ['date']);
+            message.eventType = isPlainObject(payload.eventType) ? pick(payload.eventType, ['title', 'slug'])
+                : message.eventType || pick(booking, ['title']);
+            message.duration = message.duration || Number(payload.duration) || null;
+        } else if (method === '__dimensionChanged') {
+            message = createMessage('resize', method, data, payload);
+            message.height = Number(payload.iframeHeight) || null;
+        } else if (method.indexOf('__') !== 0) {
+            message = createMessage('stepChange', method, data, payload);
+            message.step = method;
+        }
+        
+        return message;
+    }
+    
+    function rewriteCalComSrc(url) {
+        if (!url.searchParams.has('embed')) {
+            url.searchParams.set('embed', '');
+            url.searchParams.set('embedType', 'inline');
+        }
+    }
+    
+    /**
+     * HubSpot Meetings: { meetingBookSucceeded: true, meetingsPayload }
+     */
+    function parseHubSpotMessage(data, createMessage) {
+        if (!isPlainObject(data) || data.meetingBookSucceeded !== true) {
+            return null;
+        }
+        
+        const payload = isPlainObject(data.meetingsPayload) ? data.meetingsPayload : {};
+        const response = isPlainObject(payload.bookingResponse) ? payload.bookingResponse : {};
+        const event = isPlainObject(response.event) ? response.event : {};
+        const booking = isPlainObject(response.postResponse) ? response.postResponse : {};
+        const range = isPlainObject(booking.timerange) ? booking.timerange : {};
+        const contact = isPlainObject(booking.contact) ? booking.contact : {};
+        const message = createMessage('bookingCreated', 'meetingBookSucceeded', data, event);
+        const start = Number(range.start || event.dateTime); // ms since epoch
+        
+        message.slotTime = isFinite(start) && start > 0 ? new Date(start).toISOString() : null;
+        message.duration = range.end > range.start ? (range.end - range.start) / 60000 : null;
+        message.invitee = {
+            name: [contact.firstName, contact.lastName].filter(Boolean).join(' ') || null,
+            email: pick(contact, ['email']),
+            phone: pick(contact, ['phone'])
+        };
+        
+        return message;
+    }
+    
+    function rewriteHubSpotSrc(url) {
+        if (!url.searchParams.has('embed')) {
+            url.searchParams.set('embed', 'true');
+        }
+    }
+    
+    /**
+     * Acuity Scheduling only posts its height ("sizing:<px>"); bookings are
+     * found from readable URLs or through the relay page
+     */
+    function parseAcuityMessage(data, createMessage) {
+        const match = typeof data === 'string' ? /^sizing:(\d+)/.exec(data) : null;
+        
+        if (!match) {
+            return null;
+        }
+        
+        const message = createMessage('resize', 'sizing', data, {});
+        message.height = Number(match[1]);
+        return message;
+    }
+    
+    function isAcuityHost(url) {
+        return /(^|\.)acuityscheduling\.com$|\.as\.me$/.test(url.hostname);
+    }
+    
+    function isHubSpotMeetingsHost(url) {
+        return /^meetings(-[a-z0-9]+)?\.hubspot\.com$/.test(url.hostname);
+    }
+    
+    /**
+     * Method 2: URL Monitoring
+     * Periodically check if iframe URL has changed to success page
+     */
+    function setupUrlMonitoring(context) {
+        let lastUrl = '';
+        
+        const urlChecker = context.poll(function() {
+            try {
+                // This will throw an error if cross-origin, but worth trying
+                const currentUrl = context.iframe.contentWindow.location.href;
+                
+                if (currentUrl !== lastUrl) {
+                    lastUrl = currentUrl;
+                    context.log.verbose('URL changed:', currentUrl);
+                    
+                    const result = scoreUrl(currentUrl, context.config);
+                    if (result.score !== 0) {
+                        context.signal(result.score, result);
+                    }
+                }
+            } catch (e) {
+                // Expected for cross-origin iframes
+                // Silently continue
+            }
+        });
+        
+        context.log.verbose('Setup complete');
+        return urlChecker;
+    }
+    
+    function teardownUrlMonitoring(urlChecker) {
+        urlChecker.stop();
+    }
+    
+    /**
+     * Method 3: Mutation Observer
+     * Watch the booking container for success markup (successIndicators
+     * cssClasses and dataAttributes) and for messagePatterns in added or
+     * changed text. Content matching mutationObserver.ignoreSelectors is
+     * skipped.
+     */
+    function setupMutationObserver(context) {
+        const config = context.config;
+        const container = getObservedContainer(context.iframe, config, context.log);
+        
+        if (!container) {
+            return null;
+        }
+        
+        const observer = new MutationObserver(function(mutations) {
+            // A container shared with other booking iframes can't tell them
+            // apart, so attribute changes like page-level observations
+            if (hasOtherIframes(container, context.iframe) && !context.isTarget()) {
+                return;
+            }
+            
+            const result = scoreMutations(mutations, config);
+            if (result.score !== 0) {
+                context.signal(result.score, result);
+            }
+        });
+        
+        observer.observe(container, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: ['class'].concat(config.successIndicators.dataAttributes)
+        });
+        
+        context.log.verbose('Setup complete');
+        return observer;
+    }
+    
+    function teardownMutationObserver(observer) {
+        if (observer) {
+            observer.disconnect();
+        }
+    }
+    
+    /**
+     * The configured container around the iframe, or its parent element
+     * A missing container is reported to logger (default: the handler's log).
+     */
+    function getObservedContainer(iframe, config, logger) {
+        const selector = config.mutationObserver.container;
+        const container = selector ? iframe.closest(selector) : null;
+        
+        if (selector && !container) {
+            (logger || log).warn('Mutation observer container not found around iframe, using its parent:', selector);
+        }
+        
+        return container || iframe.parentElement;
+    }
+    
+    function hasOtherIframes(container, iframe) {
+        return STATE.instances.some(function(instance) {
+            return instance.iframe !== iframe && container.contains(instance.iframe);
+        });
+    }
+    
+    /**
+     * Score a batch of mutations: each success class or attribute found
+     * adds keywordWeight, each negative one subtracts negativeWeight, and
+     * the new text is scored against the message patterns.
+     */
+    function scoreMutations(mutations, config) {
+        const ignore = config.mutationObserver.ignoreSelectors.join(', ');
+        const markup = { matches: [], negatives: [] };
+        const texts = [];
+        
+        mutations.forEach(function(mutation) {
+            const target = mutation.type === 'characterData' ? mutation.target.parentElement : mutation.target;
+            
+            if (!target || isIgnored(target, ignore)) {
+                return;
+            }
+            
+            if (mutation.type === 'attributes') {
+                scoreMarkup(target, config, markup);
+            } else if (mutation.type === 'characterData') {
+                texts.push(getObservedText(target, ignore));
+            } else {
+                mutation.addedNodes.forEach(function(node) {
+                    if (node.nodeType === 1 && !(ignore && node.matches(ignore))) { // Element node
+                        node.querySelectorAll('*').forEach(function(element) {
+                            if (!isIgnored(element, ignore)) {
+                                scoreMarkup(element, config, markup);
+                            }
+                        });
+                        scoreMarkup(node, config, markup);
+                    }
+                    
+                    texts.push(getObservedText(node, ignore));
+                });
+            }
+        });
+        
+        const text = texts.join(' ').trim();
+        const result = scoreText(text, config, config.successIndicators.messagePatterns);
+        const score = result.score +
+            markup.matches.length * config.scoring.keywordWeight -
+            markup.negatives.length * config.scoring.negativeWeight;
+        
+        return createScore(text, score, markup.matches.concat(result.matches), markup.negatives.concat(result.negatives));
+    }
+    
+    /**
+     * Collect an element's success classes and attributes into markup
+     */
+    function scoreMarkup(element, config, markup) {
+        const indicators = config.successIndicators;
+        
+        indicators.cssClasses.forEach(function(name) {
+            if (name && element.classList.contains(name)) {
+                addOnce(markup.matches, '.' + name);
+            }
+        });
+        
+        indicators.dataAttributes.forEach(function(name) {
+            const value = name ? element.getAttribute(name) : null;
+            
+            if (value === null) {
+                return;
+            }
+            
+            const normalized = value.trim().toLowerCase();
+            const label = name + (value ? '=' + value : '');
+            
+            if (BOOKED_VALUES.indexOf(normalized) !== -1) {
+                addOnce(markup.matches, label);
+            } else if (normalized === 'false' || normalized === '0' || scoreText(value, config).negatives.length > 0) {
+                addOnce(markup.negatives, label);
+            }
+        });
+    }
+    
+    function addOnce(list, item) {
+        if (list.indexOf(item) === -1) {
+            list.push(item);
+        }
+    }
+    
+    function isIgnored(element, ignore) {
+        return Boolean(ignore && element.closest(ignore));
+    }
+    
+    /**
+     * Text of a node without the content of ignored elements
+     */
+    function getObservedText(node, ignore) {
+        if (node.nodeType === 3) { // Text node
+            return node.nodeValue;
+        }
+        
+        if (node.nodeType !== 1 || (ignore && node.matches(ignore))) {
+            return '';
+        }
+        
+        return Array.prototype.map.call(node.childNodes, function(child) {
+            return getObservedText(child, ignore);
+        }).join('');
+    }
+    
+    /**
+     * Method 4: Navigation Watcher
+     * Monitor for beforeunload or other navigation events from iframe
+     */
+    function setupNavigationWatcher(context) {
+        function onLoad() {
+            context.log.verbose('Iframe loaded/reloaded');
+            
+            // Check if the new URL (if accessible) indicates success
+            try {
+                const url = context.iframe.contentWindow.location.href;
+                const result = scoreUrl(url, context.config);
+                if (result.score !== 0) {
+                    context.signal(result.score, result);
+                }
+            } catch (e) {
+                // Cross-origin restriction
+            }
+        }
+        
+        context.iframe.addEventListener('load', onLoad);
+        
+        context.log.verbose('Setup complete');
+        return onLoad;
+    }
+    
+    function teardownNavigationWatcher(onLoad, context) {
+        context.iframe.removeEventListener('load', onLoad);
+    }
+    
+    /**
+     * Method 5: Custom Event Listener
+     * Listen for custom events that might be dispatched by the booking system
+     */
+    function setupCustomEventListener(context) {
+        const listeners = {};
+        
+        context.config.customEventNames.forEach(function(eventName) {
+            listeners[eventName] = function(event) {
+                // event.detail.iframe (element or id) targets a specific iframe
+                const target = event.detail && event.detail.iframe;
+                if (!context.isTarget(target)) {
+                    return;
+                }
+                
+                context.log.verbose('Custom event detected:', eventName, event.detail);
+                context.signal(1, event.detail);
+            };
+            window.addEventListener(eventName, listeners[eventName]);
+        });
+        
+        context.log.verbose('Listeners setup complete');
+        return listeners;
+    }
+    
+    function teardownCustomEventListener(listeners) {
+        Object.keys(listeners).forEach(function(eventName) {
+            window.removeEventListener(eventName, listeners[eventName]);
+        });
+    }
+    
+    /**
+     * Method 6: Relay Page
+     * booking-complete.html on our own domain (e.g. the provider's return
+     * URL) posts a success message carrying the session's relay token once
+     * it loads inside the iframe. Only same-origin messages with the right
+     * token count; they are acknowledged so the relay doesn't break out.
+     */
+    function setupRelayListener(context) {
+        const token = getRelayToken();
+        
+        function onMessage(event) {
+            const data = event.data;
+            
+            if (event.origin !== window.location.origin || !isPlainObject(data) || data.type !== RELAY_MESSAGE) {
+                return;
+            }
+            
+            if (!token || data.token !== token || !context.isTarget(event.source)) {
+                return;
+            }
+            
+            const message = parseMessage({ type: 'bookingCreated', payload: isPlainObject(data.params) ? data.params : {} });
+            message.relayUrl = data.url;
+            
+            context.log.info('Relay page reported success:', message);
+            event.source.postMessage({ type: RELAY_ACK, token: token }, event.origin);
+            context.triggerRedirect(message);
+        }
+        
+        window.addEventListener('message', onMessage);
+        
+        context.log.verbose('Listener setup complete');
+        return onMessage;
+    }
+    
+    function teardownRelayListener(onMessage) {
+        window.removeEventListener('message', onMessage);
+    }
+    
+    /**
+     * Random token shared with the relay page through sessionStorage
+     * (same origin, same tab). Null if storage is unavailable.
+     */
+    function getRelayToken() {
+        try {
+            let token = window.sessionStorage.getItem(RELAY_TOKEN_KEY);
+            
+            if (!token) {
+                const bytes = new Uint8Array(16);
+                window.crypto.getRandomValues(bytes);
+                token = Array.prototype.map.call(bytes, function(byte) {
+                    return ('0' + byte.toString(16)).slice(-2);
+                }).join('');
+                window.sessionStorage.setItem(RELAY_TOKEN_KEY, token);
+            }
+            
+            return token;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    /**
+     * Score a typed message from parseMessage()
+     * Booking created/failed events are definitive, step names are scored
+     * as text, resize events carry no evidence.
+     */
+    function scoreMessage(message, config) {
+        if (!message) return createScore(message);
+        
+        if (message.type === 'bookingCreated') {
+            return createScore(message, 1, [message.type]);
+        }
+        
+        if (message.type === 'bookingFailed') {
+            return createScore(message, -1, [], [message.type]);
+        }
+        
+        if (message.type === 'stepChange') {
+            const result = scoreText(message.step, config);
+            result.input = message;
+            return result;
+        }
+        
+        return createScore(message);
+    }
+    
+    /**
+     * Score a URL against the URL patterns only
+     */
+    function scoreUrl(url, config) {
+        return scoreText(url, config, config.successIndicators.urlPatterns);
+    }
+    
+    /**
+     * Score text: matched keywords add their weight, negative patterns
+     * subtract negativeWeight. Negative matches are removed before
+     * keywords are matched, so "unconfirmed" never counts as "confirm".
+     * The score is clamped to [-1, 1].
+     */
+    function scoreText(text, config, keywords) {
+        if (!text) return createScore(text);
+        
+        const scoring = config.scoring;
+        const matches = [];
+        const negatives = [];
+        let remaining = String(text).toLowerCase();
+        
+        scoring.negativePatterns.forEach(function(pattern) {
+            const needle = pattern.toLowerCase();
+            if (needle && remaining.includes(needle)) {
+                negatives.push(pattern);
+                remaining = remaining.split(needle).join(' ');
+            }
+        });
+        
+        (keywords ? lowerCaseAll(keywords) : getSuccessKeywords(config)).forEach(function(keyword) {
+            if (keyword && remaining.includes(keyword) && matches.indexOf(keyword) === -1) {
+                matches.push(keyword);
+            }
+        });
+        
+        const score = matches.reduce(function(sum, keyword) {
+            return sum + getKeywordWeight(keyword, config);
+        }, 0) - negatives.length * scoring.negativeWeight;
+        
+        return createScore(text, score, matches, negatives);
+    }
+    
+    function createScore(input, score, matches, negatives) {
+        return {
+            input: input,
+            score: Math.min(1, Math.max(-1, score || 0)),
+            matches: matches || [],
+            negatives: negatives || []
+        };
+    }
+    
+    function getKeywordWeight(keyword, config) {
+        const weights = config.scoring.keywordWeights;
+        const key = Object.keys(weights).find(function(name) {
+            return name.toLowerCase() === keyword;
+        });
+        
+        return key !== undefined ? weights[key] : config.scoring.keywordWeight;
+    }
+    
+    /**
+     * Check if a message payload indicates success on its own
+     */
+    function isSuccessMessage(data, config) {
+        return scoreMessage(parseMessage(data, config), config).score >= config.scoring.threshold;
+    }
+    
+    /**
+     * Check if URL indicates success on its own
+     */
+    function isSuccessUrl(url, config) {
+        return scoreUrl(url, config).score >= config.scoring.threshold;
+    }
+    
+    /**
+     * Check if text indicates success on its own
+     */
+    function containsSuccessIndicator(text, config) {
+        return scoreText(text, config).score >= config.scoring.threshold;
+    }
+    
+    /**
+     * All configured keywords and phrases, lowercased
+     */
+    function getSuccessKeywords(config) {
+        const indicators = config.successIndicators;
+        return lowerCaseAll(indicators.urlPatterns.concat(indicators.messagePatterns));
+    }
+    
+    function lowerCaseAll(patterns) {
+        return patterns.map(function(pattern) {
+            return pattern.toLowerCase();
+        });
+    }
+    
+    /**
+     * Record detector evidence for an iframe and redirect once the
+     * decision total reaches its scoring threshold.
+     *
+     * confidence is between -1 and 1 and multiplied by the method weight.
+     * Within the scoring window, the latest evidence of each method counts,
+     * so a repeating detector cannot add up on its own and a later
+     * negative signal replaces an earlier positive one.
+     */
+    function reportSignal(instance, method, confidence, data) {
+        if (typeof confidence !== 'number' || isNaN(confidence)) {
+            log.error('Invalid signal confidence:', method, confidence);
+            return;
+        }
+        
+        confidence = Math.min(1, Math.max(-1, confidence));
+        
+        const decision = addEvidence(instance, method, confidence, data, Date.now());
+        logDecision(instance, method, confidence, getMethodWeight(instance.config, method), decision, data);
+        recordEntry('signal', instance, { method: method, confidence: confidence, total: decision.total });
+        
+        emit('signal', {
+            method: method,
+            confidence: confidence,
+            total: decision.total,
+            threshold: decision.threshold,
+            data: data
+        }, instance);
+        
+        if (decision.redirect) {
+            triggerRedirect(instance, method, { total: decision.total, data: data });
+        }
+    }
+    
+    /**
+     * Add weighted evidence at time (ms) and drop what's older than the
+     * scoring window, then decide
+     */
+    function addEvidence(instance, method, confidence, data, time) {
+        const scoring = instance.config.scoring;
+        
+        instance.evidence.push({
+            method: method,
+            confidence: confidence,
+            score: confidence * getMethodWeight(instance.config, method),
+            data: data,
+            time: time
+        });
+        
+        instance.evidence = instance.evidence.filter(function(entry) {
+            return time - entry.time <= scoring.window;
+        });
+        
+        return evaluateEvidence(instance);
+    }
+    
+    function getMethodWeight(config, method) {
+        const weights = config.scoring.methodWeights;
+        return weights.hasOwnProperty(method) ? weights[method] : 1;
+    }
+    
+    /**
+     * Combine the latest evidence of each method into a decision
+     */
+    function evaluateEvidence(instance) {
+        const threshold = instance.config.scoring.threshold;
+        const latest = {};
+        
+        instance.evidence.forEach(function(entry) {
+            latest[entry.method] = entry;
+        });
+        
+        const total = Object.keys(latest).reduce(function(sum, method) {
+            return sum + latest[method].score;
+        }, 0);
+        
+        return {
+            total: total,
+            threshold: threshold,
+            methods: latest,
+            redirect: total >= threshold
+        };
+    }
+    
+    function logDecision(instance, method, confidence, weight, decision, data) {
+        const breakdown = Object.keys(decision.methods).map(function(name) {
+            return name + ' ' + formatScore(decision.methods[name].score);
+        }).join(', ');
+        
+        log.verbose(
+            `Signal from ${method} [${instance.id}]: ${formatScore(confidence)} x ${weight}` +
+            ` | total ${formatScore(decision.total)} / ${decision.threshold} (${breakdown})` +
+            ` -> ${decision.redirect ? 'redirect' : 'wait'}`,
+            data
+        );
+    }
+    
+    function formatScore(score) {
+        return (score >= 0 ? '+' : '') + score.toFixed(2);
+    }
+    
+    /**
+     * Trigger the redirect for an iframe with loading overlay
+     * success ({ total, data }, for detected bookings) is emitted as the
+     * 'success' event once the redirect is actually going to start, so
+     * suppressed redirects aren't reported as conversions.
+     */
+    function triggerRedirect(instance, method, success) {
+        const config = instance.config;
+        
+        // Prevent multiple redirects
+        if (STATE.pendingRedirect) {
+            log.verbose('Redirect already pending');
+            return;
+        }
+        
+        // An action that keeps the page (inline, modal, ...) already ran
+        if (instance.actionDone && method !== 'manual') {
+            return;
+        }
+        
+        // After a failed redirect, only the visitor can try again
+        if (instance.redirectFailed && method !== 'manual') {
+            log.info('Previous redirect failed, waiting for a manual redirect');
+            return;
+        }
+        
+        // A booking completed earlier (reload, back button) only redirects
+        // when the visitor asks for it, and isn't tracked again
+        const completed = readCompletedBooking(config);
+        
+        if (completed && method !== 'manual') {
+            log.info('Booking already completed at ' + new Date(completed.timestamp).toISOString() + ', redirect suppressed');
+            setPolling(instance, false);
+            return;
+        }
+        
+        if (config.debug.dryRun) {
+            dryRunRedirect(instance, method);
+            setPolling(instance, false);
+            return;
+        }
+        
+        if (success) {
+            emit('success', { method: method, total: success.total, data: success.data }, instance);
+        }
+        
+        const pending = {
+            instance: instance,
+            method: method,
+            destination: buildRedirectUrl(instance, method),
+            recorded: !completed, // This redirect stored the completed booking
+            delivery: createDelivery(),
+            navigating: false,
+            deadline: null,
+            timer: null,
+            countdown: null,
+            hookTimer: null
+        };
+        
+        // Pending while beforeRedirect hooks run, so that further triggers
+        // are ignored
+        STATE.pendingRedirect = pending;
+        
+        runBeforeRedirect(pending, function(url) {
+            if (STATE.pendingRedirect !== pending) {
+                return;
+            }
+            
+            if (url === false) {
+                STATE.pendingRedirect = null;
+                log.info('Redirect cancelled by beforeRedirect:', instance.id);
+                return;
+            }
+            
+            pending.destination = url;
+            startRedirect(pending);
+        });
+    }
+    
+    /**
+     * debug.dryRun: log where triggerRedirect would have gone, and keep it
+     * for inspect(). beforeRedirect hooks don't run.
+     */
+    function dryRunRedirect(instance, method) {
+        const destination = buildRedirectUrl(instance, method);
+        const action = typeof instance.config.action === 'function' ? 'function' : instance.config.action;
+        
+        instance.dryRun = { method: method, destination: destination, time: Date.now() };
+        log.warn(`Dry run, not redirecting (method: ${method}, iframe: ${instance.id}, action: ${action}):`, destination);
+        recordEntry('redirect', instance, { method: method, url: destination, dryRun: true });
+    }
+    
+    /**
+     * Record the booking, then redirect after the delay with the overlay
+     * counting down
+     */
+    function startRedirect(pending) {
+        const instance = pending.instance;
+        const config = instance.config;
+        
+        log.info(`Triggering redirect (method: ${pending.method}, iframe: ${instance.id})`, pending.destination);
+        recordEntry('redirect', instance, { method: pending.method, url: pending.destination });
+        
+        if (pending.recorded) {
+            saveCompletedBooking(instance);
+        }
+        
+        setPolling(instance, false);
+        instance.redirectAttempts = 0;
+        pending.deadline = Date.now() + config.redirectDelay;
+        pending.timer = setTimeout(redirectNow, config.redirectDelay);
+        
+        // The countdown only makes sense when the visitor is taken elsewhere
+        if (NAVIGATING_ACTIONS.indexOf(config.action) !== -1) {
+            showOverlay(pending);
+        }
+    }
+    
+    /**
+     * Run the beforeRedirect callback and event, then call proceed with the
+     * destination, or false if the redirect was cancelled.
+     * The callback may return false or a new URL; event listeners may call
+     * preventDefault() or change detail.url. Either may pass a Promise
+     * (returned, or through detail.waitUntil) resolving to the same values;
+     * after beforeRedirectTimeout the redirect continues without them.
+     * Without Promises, proceed runs synchronously.
+     */
+    function runBeforeRedirect(pending, proceed) {
+        const waits = [];
+        const detail = {
+            method: pending.method,
+            url: pending.destination,
+            waitUntil: function(promise) {
+                waits.push(promise);
+            }
+        };
+        
+        const emitted = emit('beforeRedirect', detail, pending.instance);
+        const results = [emitted.result].concat(waits);
+        
+        function decide(values) {
+            if (emitted.event.defaultPrevented || values.indexOf(false) !== -1) {
+                proceed(false);
+                return;
+            }
+            
+            const urls = values.filter(function(value) {
+                return typeof value === 'string' && value;
+            });
+            
+            proceed(urls.length > 0 ? urls[urls.length - 1] : detail.url);
+        }
+        
+        if (!results.some(isThenable)) {
+            decide(results);
+            return;
+        }
+        
+        const timeout = pending.instance.config.beforeRedirectTimeout;
+        
+        // Neither may a hook that never settles
+        const expired = new Promise(function(resolve, reject) {
+            pending.hookTimer = setTimeout(function() {
+                reject(new Error(`beforeRedirect did not settle within ${timeout}ms`));
+            }, timeout);
+        });
+        
+        Promise.race([Promise.all(results), expired]).then(function(values) {
+            clearTimeout(pending.hookTimer);
+            decide(values);
+        }, function(e) {
+            clearTimeout(pending.hookTimer);
+            
+            // Cancelled or destroyed meanwhile
+            if (STATE.pendingRedirect !== pending) {
+                return;
+            }
+            
+            // A failing hook must not keep the visitor on the page
+            log.error('beforeRedirect failed:', e);
+            emit('error', { type: 'callback', message: 'beforeRedirect failed', error: e }, pending.instance);
+            decide([]);
+        });
+    }
+    
+    function isThenable(value) {
+        return value !== null && typeof value === 'object' && typeof value.then === 'function';
+    }
+    
+    /**
+     * Track the booking and navigate to the pending destination, once
+     * analytics are delivered or analytics.maxWait has passed. Tracking
+     * waits until now so that a redirect cancelled during the countdown
+     * isn't counted.
+     */
+    function redirectNow() {
+        const pending = STATE.pendingRedirect;
+        
+        if (!pending || pending.navigating) {
+            return;
+        }
+        
+        pending.navigating = true;
+        clearPendingTimers(pending);
+        if (pending.status) {
+            updateOverlay(pending, true);
+        }
+        
+        // Optional: Send analytics event
+        if (pending.recorded) {
+            pending.delivery = trackRedirect(pending.instance, pending.method, pending.destination);
+        }
+        
+        waitForDelivery(pending, function() {
+            emit('redirect', { method: pending.method, url: pending.destination }, pending.instance);
+            performAction(pending);
+        });
+    }
+    
+    /**
+     * Run callback when all analytics adapters have settled, or after
+     * analytics.maxWait. Whatever is still undelivered is queued for the
+     * next page (see flushAnalyticsQueue).
+     */
+    function waitForDelivery(pending, callback) {
+        let finished = false;
+        
+        function finish() {
+            if (finished || STATE.pendingRedirect !== pending) {
+                return;
+            }
+            
+            finished = true;
+            clearTimeout(pending.timer);
+            queueUndelivered(pending.instance.config, pending.delivery);
+            callback();
+        }
+        
+        pending.timer = setTimeout(finish, pending.instance.config.analytics.maxWait);
+        pending.delivery.settled.then(finish, finish);
+    }
+    
+    /**
+     * Navigate, and retry if the page is still here after retryDelay
+     */
+    function navigate(pending) {
+        const instance = pending.instance;
+        const config = instance.config;
+        
+        if (instance.redirectAttempts >= config.maxRedirectAttempts) {
+            log.error(`Redirect failed after ${instance.redirectAttempts} attempt(s):`, pending.destination);
+            
+            const failure = {
+                method: pending.method,
+                url: pending.destination,
+                attempts: instance.redirectAttempts
+            };
+            runCallback(config, 'onRedirectFail', Object.assign({ iframe: instance.id }, failure));
+            emit('error', Object.assign({ type: 'redirect', message: 'Redirect failed' }, failure), instance);
+            
+            instance.redirectFailed = true;
+            STATE.pendingRedirect = null;
+            hideOverlay();
+            return;
+        }
+        
+        if (STATE.recorder) {
+            saveRecording(STATE.recorder);
+        }
+        
+        if (config.action === 'top' && window.top !== window && !pending.topTried) {
+            navigateTop(pending);
+            return;
+        }
+        
+        instance.redirectAttempts++;
+        log.info(`Navigating (iframe: ${instance.id}, attempt: ${instance.redirectAttempts})`);
+        
+        pending.timer = setTimeout(function() {
+            navigate(pending);
+        }, config.retryDelay);
+        
+        window.location.href = pending.destination;
+    }
+    
+    /**
+     * action 'top': navigate the top frame, and this frame instead if that
+     * throws or this page is still here after retryDelay. A sandboxed frame
+     * without allow-top-navigation may fail without an exception.
+     */
+    function navigateTop(pending) {
+        pending.topTried = true;
+        log.info(`Navigating the top frame (iframe: ${pending.instance.id})`);
+        
+        try {
+            window.top.location.href = pending.destination;
+        } catch (e) {
+            log.info('Top frame navigation blocked, redirecting this frame:', e);
+            navigate(pending);
+            return;
+        }
+        
+        pending.timer = setTimeout(function() {
+            log.info('Top frame did not navigate, redirecting this frame');
+            navigate(pending);
+        }, pending.instance.config.retryDelay);
+    }
+    
+    /**
+     * Run the configured action for a pending redirect
+     */
+    function performAction(pending) {
+        const instance = pending.instance;
+        const action = instance.config.action;
+        
+        if (action === 'redirect' || action === 'top') {
+            navigate(pending);
+            return;
+        }
+        
+        if (action === 'pushState' && !pushHistoryState(pending.destination)) {
+            navigate(pending);
+            return;
+        }
+        
+        try {
+            if (action === 'inline') {
+                showInlineContent(instance, pending.method);
+            } else if (action === 'modal') {
+                showModal(instance, pending.method);
+            } else if (typeof action === 'function') {
+                action({
+                    iframe: instance.id,
+                    element: instance.iframe,
+                    method: pending.method,
+                    url: pending.destination,
+                    booking: getLatestBooking(instance)
+                });
+            }
+        } catch (e) {
+            log.error('Action failed:', e);
+            emit('error', { type: 'action', message: 'Action failed', error: e }, instance);
+        }
+        
+        // The page stays; further detections for this iframe are ignored
+        instance.actionDone = true;
+        STATE.pendingRedirect = null;
+        hideOverlay();
+    }
+    
+    /**
+     * Navigate a single-page app: pushState, then popstate so that the
+     * router renders the new URL. Only possible within the same origin.
+     */
+    function pushHistoryState(url) {
+        const target = new URL(url, window.location.href);
+        
+        if (target.origin !== window.location.origin) {
+            log.info('pushState needs a same-origin URL, redirecting instead:', url);
+            return false;
+        }
+        
+        const state = { redirectHandler: true };
+        window.history.pushState(state, '', target.href);
+        window.dispatchEvent(new PopStateEvent('popstate', { state: state }));
+        
+        return true;
+    }
+    
+    /**
+     * Replace the iframe with the thank-you content
+     */
+    function showInlineContent(instance, method) {
+        const container = createElement('div', 'redirect-inline');
+        
+        container.innerHTML = getActionHtml(instance, method);
+        container.setAttribute('role', 'status');
+        container.tabIndex = -1;
+        
+        Object.keys(instance.detectors).forEach(function(name) {
+            stopDetector(instance, name);
+        });
+        
+        if (instance.manualButton.element) {
+            instance.manualButton.element.remove();
+        }
+        
+        instance.iframe.replaceWith(container);
+        container.focus();
+    }
+    
+    /**
+     * Show the thank-you content in a dialog above the page
+     */
+    function showModal(instance, method) {
+        const text = getOverlayText(instance.config);
+        const modal = createElement('div', 'redirect-modal');
+        const dialog = createElement('div', 'redirect-modal-dialog');
+        const content = createElement('div', 'redirect-modal-content');
+        const closeButton = createElement('button', 'redirect-modal-close', text.close);
+        
+        injectStyles();
+        content.innerHTML = getActionHtml(instance, method);
+        closeButton.type = 'button';
+        
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-label', text.thankYouTitle);
+        dialog.tabIndex = -1;
+        
+        function close() {
+            modal.remove();
+            document.removeEventListener('keydown', onKeydown);
+            STATE.modals = STATE.modals.filter(function(other) {
+                return other !== close;
+            });
+        }
+        
+        function onKeydown(event) {
+            if (event.key === 'Escape') {
+                close();
+            }
+        }
+        
+        closeButton.addEventListener('click', close);
+        modal.addEventListener('click', function(event) {
+            if (event.target === modal) {
+                close();
+            }
+        });
+        document.addEventListener('keydown', onKeydown);
+        STATE.modals.push(close);
+        
+        dialog.appendChild(content);
+        dialog.appendChild(closeButton);
+        modal.appendChild(dialog);
+        document.body.appendChild(modal);
+        dialog.focus();
+    }
+    
+    /**
+     * actionHtml with HTML-escaped placeholders, or the localized
+     * thank-you message
+     */
+    function getActionHtml(instance, method) {
+        const config = instance.config;
+        
+        if (config.actionHtml === null) {
+            const text = getOverlayText(config);
+            return '<h2>' + escapeHtml(text.thankYouTitle) + '</h2><p>' + escapeHtml(text.thankYouMessage) + '</p>';
+        }
+        
+        const values = getTemplateValues(instance, method, new URLSearchParams(window.location.search));
+        return fillTemplate(config.actionHtml, values, escapeHtml);
+    }
+    
+    function escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, function(char) {
+            return '&#' + char.charCodeAt(0) + ';';
+        });
+    }
+    
+    /**
+     * Navigation succeeded: stop retrying. If the page is restored from
+     * the back/forward cache, drop the stale overlay instead.
+     */
+    function onPageHide() {
+        if (STATE.pendingRedirect) {
+            clearPendingTimers(STATE.pendingRedirect);
+        }
+        
+        if (STATE.recorder) {
+            saveRecording(STATE.recorder);
+        }
+    }
+    
+    function onPageShow(event) {
+        if (event.persisted && STATE.pendingRedirect) {
+            STATE.pendingRedirect = null;
+            hideOverlay();
+        }
+    }
+    
+    /**
+     * Abort the pending redirect and reset the iframe's state, so that a
+     * visitor redirected by mistake can stay on the page
+     */
+    function cancelRedirect() {
+        const pending = STATE.pendingRedirect;
+        
+        if (!pending) {
+            return;
+        }
+        
+        clearPendingTimers(pending);
+        STATE.pendingRedirect = null;
+        
+        pending.instance.evidence = [];
+        pending.instance.redirectAttempts = 0;
+        setPolling(pending.instance, true);
+        
+        // Once navigation started the booking has been tracked, so the
+        // record stays to keep it from being tracked again
+        if (pending.recorded && !pending.navigating) {
+            clearCompletedBooking(pending.instance.config);
+        }
+        
+        hideOverlay();
+        log.info('Redirect cancelled by visitor:', pending.instance.id);
+    }
+    
+    function clearPendingTimers(pending) {
+        clearTimeout(pending.hookTimer);
+        clearTimeout(pending.timer);
+        clearInterval(pending.countdown);
+    }
+    
+    /**
+     * Show the loading overlay for a pending redirect
+     * Uses the element matching loadingOverlaySelector, or creates one.
+     */
+    function showOverlay(pending) {
+        const overlay = getOverlayElement();
+        const text = getOverlayText(pending.instance.config);
+        const container = overlay.querySelector('.loading-content') || overlay;
+        let content = overlay.querySelector('.redirect-overlay-content');
+        
+        if (!content) {
+            content = document.createElement('div');
+            content.className = 'redirect-overlay-content';
+            container.appendChild(content);
+        }
+        
+        content.textContent = '';
+        
+        const message = createElement('p', 'redirect-overlay-message', text.processing);
+        const status = createElement('p', 'redirect-overlay-countdown');
+        const actions = createElement('div', 'redirect-overlay-actions');
+        const goButton = createElement('button', 'redirect-overlay-button', text.redirectNow);
+        const stayButton = createElement('button', 'redirect-overlay-button redirect-overlay-button-secondary', text.stay);
+        
+        status.setAttribute('aria-live', 'polite');
+        goButton.type = 'button';
+        stayButton.type = 'button';
+        goButton.addEventListener('click', redirectNow);
+        stayButton.addEventListener('click', cancelRedirect);
+        
+        actions.appendChild(goButton);
+        actions.appendChild(stayButton);
+        content.appendChild(message);
+        content.appendChild(status);
+        content.appendChild(actions);
+        
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-label', text.processing);
+        overlay.classList.add('active');
+        document.addEventListener('keydown', onOverlayKeydown);
+        
+        pending.text = text;
+        pending.status = status;
+        updateOverlay(pending, false);
+        
+        if (pending.instance.config.showCountdown) {
+            pending.countdown = setInterval(function() {
+                updateOverlay(pending, false);
+            }, 250);
+        }
+        
+        goButton.focus();
+    }
+    
+    function updateOverlay(pending, navigating) {
+        const remaining = Math.max(0, Math.ceil((pending.deadline - Date.now()) / 1000));
+        const showCountdown = pending.instance.config.showCountdown && remaining > 0 && !navigating;
+        const text = showCountdown
+            ? pending.text.countdown.replace('{seconds}', remaining)
+            : pending.text.redirecting;
+        
+        if (pending.status.textContent !== text) {
+            pending.status.textContent = text;
+        }
+    }
+    
+    function hideOverlay() {
+        const overlay = STATE.loadingOverlay;
+        
+        if (overlay) {
+            overlay.classList.remove('active');
+            
+            const content = overlay.querySelector('.redirect-overlay-content');
+            if (content) {
+                content.textContent = '';
+            }
+        }
+        
+        document.removeEventListener('keydown', onOverlayKeydown);
+    }
+    
+    // Escape means "Stay on this page"
+    function onOverlayKeydown(event) {
+        if (event.key === 'Escape') {
+            cancelRedirect();
+        }
+    }
+    
+    function getOverlayElement() {
+        injectStyles();
+        
+        if (!STATE.loadingOverlay) {
+            STATE.loadingOverlay = createElement('div', 'loading-overlay');
+            STATE.loadingOverlay.setAttribute('data-redirect-handler', '');
+            document.body.appendChild(STATE.loadingOverlay);
+        }
+        
+        STATE.loadingOverlay.classList.add('redirect-overlay');
+        return STATE.loadingOverlay;
+    }
+    
+    /**
+     * Overlay text for the configured locale: overlay.locale, <html lang>
+     * or the browser language, matched exactly or by base language
+     * ("de-AT" uses "de"), falling back to English. overlay.text wins.
+     */
+    function getOverlayText(config) {
+        const messages = config.overlay.messages;
+        const locale = (config.overlay.locale || document.documentElement.lang || navigator.language || 'en').toLowerCase();
+        const key = Object.keys(messages).find(function(name) {
+            return name.toLowerCase() === locale;
+        }) || Object.keys(messages).find(function(name) {
+            return name.toLowerCase() === locale.split('-')[0];
+        });
+        
+        return Object.assign({}, messages.en, key ? messages[key] : {}, config.overlay.text);
+    }
+    
+    function createElement(tagName, className, text) {
+        const element = document.createElement(tagName);
+        
+        if (className) {
+            element.className = className;
+        }
+        
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        
+        return element;
+    }
+    
+    /**
+     * Default styles for the elements the handler renders. Page styles
+     * for the same classes take precedence (injected first in <head>).
+     */
+    function injectStyles() {
+        if (document.getElementById('redirect-handler-styles')) {
+            return;
+        }
+        
+        const style = document.createElement('style');
+        style.id = 'redirect-handler-styles';
+        style.textContent = [
+            '.redirect-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(255, 255, 255, 0.9); display: none; justify-content: center; align-items: center; z-index: 9999; text-align: center; font-family: inherit; }',
+            '.redirect-overlay.active { display: flex; }',
+            '.redirect-overlay-message { margin: 0 0 8px; font-size: 18px; }',
+            '.redirect-overlay-countdown { margin: 0 0 16px; color: #555; }',
+            '.redirect-overlay-actions { display: flex; gap: 12px; justify-content: center; flex-wrap: wrap; }',
+            '.redirect-overlay-button { padding: 10px 18px; border: 2px solid #3498db; border-radius: 4px; background: #3498db; color: #fff; font-size: 16px; cursor: pointer; }',
+            '.redirect-overlay-button-secondary { background: transparent; color: #3498db; }',
+            '.redirect-overlay-button:focus { outline: 3px solid #1d6fa5; outline-offset: 2px; }',
+            '.redirect-manual { margin: 16px 0; text-align: center; }',
+            '.redirect-manual-button { padding: 12px 20px; border: 2px solid #3498db; border-radius: 4px; background: #fff; color: #1d6fa5; font-size: 16px; cursor: pointer; }',
+            '.redirect-manual-button:hover, .redirect-manual-button:focus { background: #3498db; color: #fff; }',
+            '.redirect-manual-button:focus { outline: 3px solid #1d6fa5; outline-offset: 2px; }',
+            '.redirect-inline { padding: 40px 20px; text-align: center; }',
+            '.redirect-debug { position: fixed; right: 12px; bottom: 12px; width: 360px; max-width: calc(100% - 24px); max-height: 50vh; overflow: auto; z-index: 2147483647; background: rgba(20, 20, 20, 0.92); color: #eee; font: 12px/1.4 monospace; border-radius: 4px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3); }',
+            '.redirect-debug-header { display: flex; justify-content: space-between; align-items: center; padding: 6px 10px; font-weight: bold; border-bottom: 1px solid #444; }',
+            '.redirect-debug-toggle { background: none; border: none; color: inherit; font: inherit; cursor: pointer; }',
+            '.redirect-debug.collapsed .redirect-debug-content { display: none; }',
+            '.redirect-debug-iframe { padding: 6px 10px; }',
+            '.redirect-debug-iframe + .redirect-debug-iframe { border-top: 1px solid #444; }',
+            '.redirect-debug-signals { margin: 4px 0 0; padding-left: 16px; }',
+            '.redirect-modal { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0, 0, 0, 0.5); display: flex; justify-content: center; align-items: center; z-index: 10000; }',
+            '.redirect-modal-dialog { max-width: 90%; width: 480px; padding: 24px; border-radius: 8px; background: #fff; text-align: center; }',
+            '.redirect-modal-close { margin-top: 16px; padding: 10px 18px; border: none; border-radius: 4px; background: #3498db; color: #fff; font-size: 16px; cursor: pointer; }'
+        ].join('\n');
+        
+        document.head.insertBefore(style, document.head.firstChild);
+    }
+    
+    /**
+     * Build the destination URL for a redirect
+     * Fills {placeholders} in redirectUrl (URL-encoded, empty if unknown),
+     * then adds carried-over host page params and the source param unless
+     * the URL already sets them.
+     */
+    function buildRedirectUrl(instance, method) {
+        const config = instance.config;
+        const hostParams = new URLSearchParams(window.location.search);
+        const values = getTemplateValues(instance, method, hostParams);
+        const route = findRoute(instance, method);
+        const template = route ? route.redirectUrl : config.redirectUrl;
+        
+        const filled = fillTemplate(template, values, encodeURIComponent);
+        const url = new URL(filled, window.location.href);
+        
+        config.carryOverParams.forEach(function(name) {
+            if (hostParams.has(name) && !url.searchParams.has(name)) {
+                url.searchParams.set(name, hostParams.get(name));
+            }
+        });
+        
+        if (config.appendSourceParam && !url.searchParams.has(config.sourceParamName)) {
+            url.searchParams.set(config.sourceParamName, config.sourceParamValue);
+        }
+        
+        return url.href;
+    }
+    
+    /**
+     * Replace {placeholders} (dotted paths allowed) with encoded values;
+     * missing values become empty
+     */
+    function fillTemplate(template, values, encode) {
+        return template.replace(/\{([\w.-]+)\}/g, function(match, key) {
+            const value = key.split('.').reduce(function(source, part) {
+                return source !== null && typeof source === 'object' ? source[part] : undefined;
+            }, values);
+            
+            return value === undefined || value === null || typeof value === 'object'
+                ? ''
+                : encode(String(value));
+        });
+    }
+    
+    /**
+     * First route in CONFIG.routes whose conditions match the success data
+     */
+    function findRoute(instance, method) {
+        const routes = instance.config.routes;
+        const data = getRouteData(instance, method);
+        
+        for (let i = 0; i < routes.length; i++) {
+            try {
+                if (matchesRoute(routes[i].match, data)) {
+                    log.info(`Route ${i} matched:`, routes[i].redirectUrl, data);
+                    return routes[i];
+                }
+            } catch (e) {
+                log.error(`Route ${i} failed to match:`, e);
+            }
+        }
+        
+        if (routes.length > 0) {
+            log.verbose('No route matched, using redirectUrl', data);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Data routes are matched against: the latest booking from a
+     * postMessage and the latest iframe URL seen by the URL detectors
+     */
+    function getRouteData(instance, method) {
+        const booking = getLatestBooking(instance) || {};
+        const url = getLatestIframeUrl(instance);
+        let urlPath = null;
+        
+        try {
+            urlPath = url ? new URL(url).pathname : null;
+        } catch (e) {
+            // Not a parseable URL
+        }
+        
+        return {
+            method: method,
+            iframeId: instance.id,
+            eventType: booking.eventType || null,
+            duration: booking.duration || null,
+            answers: booking.answers || {},
+            bookingId: booking.bookingId || null,
+            url: url,
+            urlPath: urlPath,
+            booking: booking
+        };
+    }
+    
+    /**
+     * Check route conditions; all given conditions must match.
+     * match is a function(data) or an object of conditions on the route
+     * data (method, iframeId, eventType, duration, bookingId, url, urlPath).
+     * answers is an object of { question: condition }. A condition is a
+     * value (case-insensitive equality), a RegExp, a function, an array of
+     * alternatives or, for numbers, { min, max }.
+     */
+    function matchesRoute(match, data) {
+        if (typeof match === 'function') {
+            return !!match(data);
+        }
+        
+        return Object.keys(match).every(function(key) {
+            if (key === 'answers') {
+                return Object.keys(match.answers).every(function(question) {
+                    const answer = Object.keys(data.answers).find(function(name) {
+                        return name.toLowerCase() === question.toLowerCase();
+                    });
+                    
+                    return matchesCondition(match.answers[question], answer !== undefined ? data.answers[answer] : null);
+                });
+            }
+            
+            return matchesCondition(match[key], data[key]);
+        });
+    }
+    
+    function matchesCondition(condition, value) {
+        if (typeof condition === 'function') {
+            return !!condition(value);
+        }
+        
+        if (Array.isArray(condition)) {
+            return condition.some(function(alternative) {
+                return matchesCondition(alternative, value);
+            });
+        }
+        
+        if (Array.isArray(value)) {
+            return value.some(function(item) {
+                return matchesCondition(condition, item);
+            });
+        }
+        
+        if (value === null || value === undefined) {
+            return false;
+        }
+        
+        if (condition instanceof RegExp) {
+            return condition.test(String(value));
+        }
+        
+        if (isPlainObject(condition)) {
+            const number = Number(value);
+            return !isNaN(number) &&
+                (condition.min === undefined || number >= condition.min) &&
+                (condition.max === undefined || number <= condition.max);
+        }
+        
+        return String(condition).toLowerCase() === String(value).toLowerCase();
+    }
+    
+    /**
+     * The most recent iframe URL reported by the URL detectors
+     */
+    function getLatestIframeUrl(instance) {
+        for (let i = instance.evidence.length - 1; i >= 0; i--) {
+            const entry = instance.evidence[i];
+            if ((entry.method === 'urlMonitoring' || entry.method === 'navigationWatcher') && entry.data) {
+                return entry.data.input;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Values available to redirectUrl placeholders: the detection method,
+     * the latest booking from a postMessage, and host page query params
+     * (which never override the other values)
+     */
+    function getTemplateValues(instance, method, hostParams) {
+        const booking = getLatestBooking(instance) || {};
+        const invitee = booking.invitee || {};
+        const values = {};
+        
+        hostParams.forEach(function(value, key) {
+            values[key] = value;
+        });
+        
+        return Object.assign(values, {
+            method: method,
+            iframeId: instance.id,
+            bookingId: booking.bookingId,
+            slotTime: booking.slotTime,
+            eventType: booking.eventType,
+            inviteeName: invitee.name,
+            inviteeEmail: invitee.email,
+            invitee: invitee,
+            booking: booking
+        });
+    }
+    
+    /**
+     * The most recent bookingCreated message received for an iframe
+     */
+    function getLatestBooking(instance) {
+        for (let i = instance.evidence.length - 1; i >= 0; i--) {
+            const data = instance.evidence[i].data;
+            if (data && data.type === 'bookingCreated') {
+                return data;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Completed booking record: { timestamp, bookingId, iframe }
+     * Stored under fallback.storageKey when fallback.useLocalStorage is on.
+     */
+    function readCompletedBooking(config) {
+        const storage = getStorage(config);
+        
+        if (!storage) {
+            return null;
+        }
+        
+        let record = null;
+        
+        try {
+            record = JSON.parse(storage.getItem(config.fallback.storageKey));
+        } catch (e) {
+            // Not ours (e.g. a plain 'true' from an older version)
+        }
+        
+        if (!record || typeof record.timestamp !== 'number') {
+            storage.removeItem(config.fallback.storageKey);
+            return null;
+        }
+        
+        if (Date.now() - record.timestamp > config.fallback.storageDuration) {
+            storage.removeItem(config.fallback.storageKey);
+            return null;
+        }
+        
+        return record;
+    }
+    
+    function saveCompletedBooking(instance) {
+        const storage = getStorage(instance.config);
+        const booking = getLatestBooking(instance);
+        
+        if (!storage) {
+            return;
+        }
+        
+        try {
+            storage.setItem(instance.config.fallback.storageKey, JSON.stringify({
+                timestamp: Date.now(),
+                bookingId: booking ? booking.bookingId : null,
+                iframe: instance.id
+            }));
+        } catch (e) {
+            log.warn('Could not store completed booking:', e);
+        }
+    }
+    
+    function clearCompletedBooking(config) {
+        const storage = getStorage(config);
+        
+        if (storage) {
+            storage.removeItem(config.fallback.storageKey);
+        }
+    }
+    
+    /**
+     * localStorage or sessionStorage per fallback.storageArea; null when
+     * disabled or unavailable (private mode, blocked cookies)
+     */
+    function getStorage(config) {
+        if (!config.fallback.useLocalStorage) {
+            return null;
+        }
+        
+        try {
+            const storage = config.fallback.storageArea === 'session' ? window.sessionStorage : window.localStorage;
+            storage.getItem(config.fallback.storageKey);
+            return storage;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    /**
+     * Storage keys used for completed bookings, for clearing them while testing
+     */
+    function getStorageKeys() {
+        const keys = [(CONFIG || DEFAULTS).fallback.storageKey];
+        
+        STATE.instances.forEach(function(instance) {
+            if (keys.indexOf(instance.config.fallback.storageKey) === -1) {
+                keys.push(instance.config.fallback.storageKey);
+            }
+        });
+        
+        return keys;
+    }
+    
+    /**
+     * Register an analytics adapter. send(event, options) receives the
+     * conversion event and config.analytics[name]; it runs for every
+     * redirect unless disabled, and errors don't affect other adapters.
+     * It returns false if it couldn't send (tool not on the page), or a
+     * Promise to make the redirect wait for delivery.
+     */
+    function registerAnalytics(name, sendFn) {
+        if (typeof name !== 'string' || !name) {
+            log.error('Analytics adapter name must be a non-empty string');
+            return false;
+        }
+        
+        if (typeof sendFn !== 'function') {
+            log.error('Analytics adapter must be a function:', name);
+            return false;
+        }
+        
+        ANALYTICS[name] = sendFn;
+        return true;
+    }
+    
+    /**
+     * Track redirect for analytics (optional)
+     * Returns a delivery: { event, outstanding: { adapter: true }, settled }
+     */
+    function trackRedirect(instance, method, destination) {
+        const analytics = instance.config.analytics;
+        const delivery = createDelivery();
+        
+        if (!analytics.enabled) {
+            return delivery;
+        }
+        
+        delivery.event = createAnalyticsEvent(instance, method, destination);
+        delivery.settled = Promise.all(Object.keys(ANALYTICS).filter(function(name) {
+            return !analytics[name] || analytics[name].enabled !== false;
+        }).map(function(name) {
+            return deliver(delivery, name, analytics[name] || {});
+        }));
+        
+        return delivery;
+    }
+    
+    function createDelivery() {
+        return { event: null, outstanding: {}, settled: Promise.resolve() };
+    }
+    
+    /**
+     * Send the delivery's event to one adapter; it stays outstanding until
+     * the adapter confirms, and after a failure. Resolves to whether the
+     * adapter sent the event.
+     */
+    function deliver(delivery, name, options) {
+        delivery.outstanding[name] = true;
+        
+        return new Promise(function(resolve) {
+            resolve(ANALYTICS[name](delivery.event, options));
+        }).then(function(result) {
+            delete delivery.outstanding[name];
+            
+            if (result !== false) {
+                log.verbose('Analytics tracked:', name, delivery.event.method);
+            }
+            
+            return result !== false;
+        }, function(e) {
+            log.warn('Analytics tracking failed:', name, e);
+            emit('error', {
+                type: 'analytics',
+                message: 'Analytics tracking failed: ' + name,
+                error: e
+            }, findInstance(delivery.event.iframe));
+            
+            return false;
+        });
+    }
+    
+    /**
+     * Store events still outstanding when the page navigates away
+     */
+    function queueUndelivered(config, delivery) {
+        const names = Object.keys(delivery.outstanding);
+        
+        if (names.length === 0) {
+            return;
+        }
+        
+        const queue = readAnalyticsQueue(config);
+        
+        names.forEach(function(name) {
+            queue.push({ adapter: name, event: delivery.event });
+        });
+        
+        writeAnalyticsQueue(config, queue);
+        log.info('Analytics queued for the next page:', names.join(', '));
+        
+        // Delivered after all while the page was still unloading
+        names.forEach(function(name) {
+            delivery.settled.then(function() {
+                if (!delivery.outstanding[name]) {
+                    removeQueued(config, { adapter: name, event: delivery.event });
+                }
+            });
+        });
+    }
+    
+    /**
+     * Send events queued by a previous page (usually the thank-you page,
+     * which loads the handler with the same analytics settings). Each event
+     * stays queued until its adapter confirms delivery, so nothing is lost
+     * if this page unloads first; events for adapters that still can't send
+     * stay queued until queueDuration.
+     */
+    function flushAnalyticsQueue() {
+        const config = CONFIG || DEFAULTS;
+        
+        readAnalyticsQueue(config).forEach(function(entry) {
+            const options = config.analytics[entry.adapter] || {};
+            const key = entry.adapter + ':' + entry.event.timestamp;
+            
+            if (!ANALYTICS[entry.adapter] || options.enabled === false || STATE.flushing[key]) {
+                return;
+            }
+            
+            const delivery = createDelivery();
+            delivery.event = Object.assign({}, entry.event, { queued: true });
+            STATE.flushing[key] = true;
+            
+            deliver(delivery, entry.adapter, options).then(function(sent) {
+                delete STATE.flushing[key];
+                
+                if (sent) {
+                    removeQueued(config, entry);
+                }
+            });
+        });
+    }
+    
+    function removeQueued(config, entry) {
+        writeAnalyticsQueue(config, readAnalyticsQueue(config).filter(function(queued) {
+            return queued.adapter !== entry.adapter || queued.event.timestamp !== entry.event.timestamp;
+        }));
+    }
+    
+    function readAnalyticsQueue(config) {
+        try {
+            const queue = JSON.parse(window.localStorage.getItem(config.analytics.queueKey)) || [];
+            
+            return queue.filter(function(entry) {
+                return entry && entry.event && Date.now() - entry.event.timestamp < config.analytics.queueDuration;
+            });
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    function writeAnalyticsQueue(config, queue) {
+        try {
+            if (queue.length > 0) {
+                window.localStorage.setItem(config.analytics.queueKey, JSON.stringify(queue));
+            } else {
+                window.localStorage.removeItem(config.analytics.queueKey);
+            }
+        } catch (e) {
+            log.warn('Could not store analytics queue:', e);
+        }
+    }
+    
+    /**
+     * Conversion event passed to every adapter
+     */
+    function createAnalyticsEvent(instance, method, destination) {
+        const booking = getLatestBooking(instance) || {};
+        
+        return {
+            name: instance.config.analytics.eventName,
+            method: method,
+            iframe: instance.id,
+            destination: destination,
+            bookingId: booking.bookingId || null,
+            eventType: booking.eventType || null,
+            slotTime: booking.slotTime || null,
+            page: window.location.href,
+            timestamp: Date.now()
+        };
+    }
+    
+    /**
+     * Flat parameters for tag managers and pixels; the event's own values
+     * win over configured extras
+     */
+    function getEventParams(event, extra) {
+        return Object.assign({}, extra, {
+            method: event.method,
+            redirect_url: event.destination,
+            booking_id: event.bookingId,
+            event_type: event.eventType
+        });
+    }
+    
+    // Built-in adapters return false when their library isn't on the page
+    
+    function trackGa4(event, options) {
+        if (typeof gtag === 'undefined') return false;
+        
+        return new Promise(function(resolve) {
+            gtag('event', options.eventName || event.name, getEventParams(event, Object.assign({}, options.eventParams, {
+                event_callback: resolve
+            })));
+        });
+    }
+    
+    function trackUniversal(event, options) {
+        if (typeof ga === 'undefined') return false;
+        
+        return new Promise(function(resolve) {
+            ga('send', 'event', options.category, options.action, event.method, {
+                transport: 'beacon',
+                hitCallback: resolve
+            });
+        });
+    }
+    
+    // eventCallback only fires once the GTM container has loaded
+    function trackGtm(event, options) {
+        const dataLayer = window[options.dataLayerName || 'dataLayer'];
+        if (!dataLayer || typeof dataLayer.push !== 'function') return false;
+        
+        return new Promise(function(resolve) {
+            dataLayer.push(getEventParams(event, {
+                event: options.eventName || event.name,
+                eventCallback: resolve
+            }));
+        });
+    }
+    
+    function trackFacebook(event, options) {
+        if (typeof fbq === 'undefined') return false;
+        fbq('track', options.eventName, Object.assign({ method: event.method }, options.eventParams));
+    }
+    
+    function trackLinkedIn(event, options) {
+        if (typeof window.lintrk !== 'function') return false;
+        window.lintrk('track', { conversion_id: options.conversionId });
+    }
+    
+    function trackTikTok(event, options) {
+        if (typeof window.ttq === 'undefined' || typeof window.ttq.track !== 'function') return false;
+        window.ttq.track(options.eventName, Object.assign({ content_name: event.eventType || event.name }, options.eventParams));
+    }
+    
+    function trackCustomEndpoint(event, options) {
+        const body = JSON.stringify(event);
+        const hasHeaders = Object.keys(options.headers || {}).length > 0;
+        
+        if (options.method === 'GET') {
+            const url = new URL(options.endpoint, window.location.href);
+            Object.keys(event).forEach(function(key) {
+                if (event[key] !== null) {
+                    url.searchParams.set(key, event[key]);
+                }
+            });
+            
+            return fetch(url.toString(), { method: 'GET', keepalive: true, headers: options.headers || {} }).then(checkResponse);
+        }
+        
+        // sendBeacon can't set headers, but the browser delivers it even
+        // after the page unloads
+        if (!hasHeaders && navigator.sendBeacon
+            && navigator.sendBeacon(options.endpoint, new Blob([body], { type: 'application/json' }))) {
+            return;
+        }
+        
+        return fetch(options.endpoint, {
+            method: 'POST',
+            keepalive: true,
+            headers: Object.assign({ 'Content-Type': 'application/json' }, options.headers),
+            body: body
+        }).then(checkResponse);
+    }
+    
+    function checkResponse(response) {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+    }
+    
+    /**
+     * Show the manual button after delay ms (earliest schedule wins)
+     */
+    function scheduleManualButton(instance, delay) {
+        instance.manualButton.timers.push(setTimeout(function() {
+            showManualButton(instance);
+        }, delay));
+    }
+    
+    /**
+     * First interaction with an iframe starts the shorter
+     * manualButtonAfterInteraction delay
+     */
+    function onIframeInteraction(instance) {
+        const fallback = instance.config.fallback;
+        
+        if (instance.manualButton.interacted || !fallback.showManualButton || fallback.manualButtonAfterInteraction === null) {
+            return;
+        }
+        
+        instance.manualButton.interacted = true;
+        scheduleManualButton(instance, fallback.manualButtonAfterInteraction);
+    }
+    
+    /**
+     * Insert the "I've finished booking" button right after the iframe.
+     * It goes through the same path as triggerManualRedirect().
+     */
+    function showManualButton(instance) {
+        const state = instance.manualButton;
+        
+        state.timers.forEach(clearTimeout);
+        state.timers = [];
+        
+        if (state.element || !instance.iframe.parentNode) {
+            return;
+        }
+        
+        injectStyles();
+        
+        const wrapper = createElement('div', 'redirect-manual');
+        const button = createElement('button', 'redirect-manual-button', getOverlayText(instance.config).manualButton);
+        
+        wrapper.setAttribute('role', 'status');
+        button.type = 'button';
+        button.addEventListener('click', function() {
+            triggerManualRedirect(instance.iframe);
+        });
+        
+        wrapper.appendChild(button);
+        instance.iframe.parentNode.insertBefore(wrapper, instance.iframe.nextSibling);
+        state.element = wrapper;
+        
+        log.info('Manual redirect button shown:', instance.id);
+    }
+    
+    /**
+     * Apply the debug options; ?redirect_debug= overrides them
+     */
+    function configureLogger(debug) {
+        const override = getDebugOverride();
+        
+        LOGGER.level = LOG_LEVELS.indexOf(override ? override.level : debug.level);
+        LOGGER.prefix = debug.logPrefix;
+        
+        if (override && override.panel) {
+            debug.panel = true;
+        }
+        
+        if (override && override.record) {
+            debug.record = true;
+        }
+        
+        if (override && override.dryRun) {
+            debug.dryRun = true;
+        }
+    }
+    
+    /**
+     * ?redirect_debug=1 (or true, or empty): verbose with the panel,
+     * ?redirect_debug=<level>: that level, with the panel unless silent,
+     * ?redirect_debug=record: verbose with the panel, recording,
+     * ?redirect_debug=dryrun: verbose with the panel, without redirecting,
+     * ?redirect_debug=0 (or false): no override
+     */
+    function getDebugOverride() {
+        let value;
+        
+        try {
+            value = new URLSearchParams(window.location.search).get(DEBUG_PARAM);
+        } catch (e) {
+            return null;
+        }
+        
+        if (value === null || value === '0' || value === 'false') {
+            return null;
+        }
+        
+        const level = LOG_LEVELS.indexOf(value) !== -1 ? value : 'verbose';
+        return {
+            level: level,
+            panel: level !== 'silent',
+            record: value === 'record',
+            dryRun: value === 'dryrun'
+        };
+    }
+    
+    /**
+     * Objects and arrays (parsed messages, booking data) are logged with
+     * personal details redacted, like recordings
+     */
+    function writeLog(level, method, args) {
+        if (LOGGER.level < LOG_LEVELS.indexOf(level)) {
+            return;
+        }
+        
+        args = Array.prototype.map.call(args, function(arg) {
+            return isPlainObject(arg) || Array.isArray(arg) ? toRecordable(arg) : arg;
+        });
+        console[method].apply(console, LOGGER.prefix ? [LOGGER.prefix].concat(args) : args);
+    }
+    
+    /**
+     * Floating diagnostics panel, refreshed every second and after each
+     * lifecycle event
+     */
+    function showDebugPanel() {
+        if (STATE.debugPanel || !document.body) {
+            return;
+        }
+        
+        injectStyles();
+        
+        const panel = createElement('div', 'redirect-debug');
+        const header = createElement('div', 'redirect-debug-header', 'Redirect handler');
+        const toggle = createElement('button', 'redirect-debug-toggle', '–');
+        const content = createElement('div', 'redirect-debug-content');
+        
+        panel.setAttribute('data-redirect-handler', '');
+        panel.setAttribute('role', 'log');
+        toggle.type = 'button';
+        toggle.setAttribute('aria-label', 'Collapse diagnostics');
+        toggle.addEventListener('click', function() {
+            const collapsed = panel.classList.toggle('collapsed');
+            toggle.textContent = collapsed ? '+' : '–';
+            toggle.setAttribute('aria-label', collapsed ? 'Expand diagnostics' : 'Collapse diagnostics');
+        });
+        
+        header.appendChild(toggle);
+        panel.appendChild(header);
+        panel.appendChild(content);
+        document.body.appendChild(panel);
+        
+        STATE.debugPanel = {
+            element: panel,
+            content: content,
+            timer: setInterval(renderDebugPanel, 1000)
+        };
+        
+        renderDebugPanel();
+    }
+    
+    function hideDebugPanel() {
+        const panel = STATE.debugPanel;
+        
+        if (panel) {
+            clearInterval(panel.timer);
+            panel.element.remove();
+            STATE.debugPanel = null;
+        }
+    }
+    
+    function renderDebugPanel() {
+        const panel = STATE.debugPanel;
+        
+        if (!panel) {
+            return;
+        }
+        
+        const sections = STATE.instances.map(function(instance) {
+            const decision = evaluateEvidence(instance);
+            const section = createElement('div', 'redirect-debug-iframe');
+            const now = Date.now();
+            
+            section.appendChild(createElement('strong', null, instance.id));
+            section.appendChild(createElement('div', null, 'Decision: ' + formatScore(decision.total) + ' / ' +
+                decision.threshold + ' - ' + getDecisionStatus(instance, decision)));
+            section.appendChild(createElement('div', null, 'Detectors: ' + Object.keys(DETECTORS).map(function(name) {
+                return name + ' (' + getDetectorStatus(instance, name) + ')';
+            }).join(', ')));
+            
+            const signals = createElement('ul', 'redirect-debug-signals');
+            instance.evidence.slice(-10).reverse().forEach(function(entry) {
+                signals.appendChild(createElement('li', null, Math.round((now - entry.time) / 1000) + ' s ago: ' +
+                    entry.method + ' ' + formatScore(entry.confidence) +
+                    (entry.score !== entry.confidence ? ' (weighted ' + formatScore(entry.score) + ')' : '')));
+            });
+            
+            if (instance.evidence.length === 0) {
+                signals.appendChild(createElement('li', null, 'No signals yet'));
+            }
+            
+            section.appendChild(signals);
+            return section;
+        });
+        
+        if (sections.length === 0) {
+            sections.push(createElement('div', null, 'No booking iframe found'));
+        }
+        
+        if (CONFIG.debug.dryRun) {
+            sections.unshift(createElement('div', 'redirect-debug-iframe', 'Dry run: redirects are only logged'));
+        }
+        
+        if (STATE.recorder) {
+            sections.unshift(createElement('div', 'redirect-debug-iframe', 'Recording: ' +
+                STATE.recorder.recording.entries.length + ' entries'));
+        }
+        
+        panel.content.textContent = '';
+        sections.forEach(function(section) {
+            panel.content.appendChild(section);
+        });
+    }
+    
+    function getDecisionStatus(instance, decision) {
+        const pending = STATE.pendingRedirect;
+        
+        if (pending && pending.instance === instance && pending.deadline === null) {
+            return 'waiting for beforeRedirect';
+        }
+        
+        if (pending && pending.instance === instance) {
+            const seconds = Math.max(0, Math.ceil((pending.deadline - Date.now()) / 1000));
+            return 'redirect pending (' + pending.method + ', ' + seconds + ' s)';
+        }
+        
+        if (instance.dryRun) return 'dry run, would redirect (' + instance.dryRun.method + ')';
+        if (instance.actionDone) return 'action done';
+        if (instance.redirectFailed) return 'redirect failed';
+        if (decision.redirect) return 'threshold reached';
+        return 'waiting';
+    }
+    
+    function getDetectorStatus(instance, name) {
+        if (!isMethodEnabled(instance.config, name)) {
+            return 'disabled';
+        }
+        
+        if (!instance.detectors[name]) {
+            return 'stopped';
+        }
+        
+        const pollers = instance.pollers.filter(function(poller) {
+            return poller.detector === name;
+        });
+        
+        if (pollers.length === 0) {
+            return 'running';
+        }
+        
+        return instance.pollingPaused || document.hidden ? 'polling paused' : 'polling';
+    }
+    
+    /**
+     * Snapshot of the handler for diagnostics (see testing-tools.js): the
+     * effective configuration, and per iframe its detectors, counters,
+     * timers and the signals within the scoring window. Times are in ms,
+     * remaining times relative to now. The snapshot is a frozen copy;
+     * the handler doesn't change it later.
+     */
+    function inspect() {
+        const pending = STATE.pendingRedirect;
+        const now = Date.now();
+        
+        return toSnapshot({
+            initialized: STATE.initialized,
+            config: CONFIG,
+            detectors: Object.keys(DETECTORS),
+            analytics: Object.keys(ANALYTICS),
+            activeIframe: STATE.activeInstance ? STATE.activeInstance.id : null,
+            completedBooking: CONFIG ? readCompletedBooking(CONFIG) : null,
+            pendingRedirect: pending ? {
+                iframe: pending.instance.id,
+                method: pending.method,
+                destination: pending.destination,
+                status: pending.navigating ? 'navigating' : pending.deadline === null ? 'beforeRedirect' : 'countdown',
+                remaining: pending.deadline === null || pending.navigating ? null : Math.max(0, pending.deadline - now)
+            } : null,
+            recording: STATE.recorder ? {
+                startedAt: STATE.recorder.recording.startedAt,
+                entries: STATE.recorder.recording.entries.length
+            } : null,
+            iframes: STATE.instances.map(function(instance) {
+                return inspectInstance(instance, now);
+            })
+        });
+    }
+    
+    function inspectInstance(instance, now) {
+        const decision = evaluateEvidence(instance);
+        const detectors = {};
+        
+        Object.keys(DETECTORS).forEach(function(name) {
+            detectors[name] = getDetectorStatus(instance, name);
+        });
+        
+        return {
+            id: instance.id,
+            element: instance.iframe,
+            src: instance.iframe.getAttribute('src') || instance.iframe.dataset.src || null,
+            config: instance.config,
+            detectors: detectors,
+            decision: {
+                total: decision.total,
+                threshold: decision.threshold,
+                redirect: decision.redirect,
+                status: getDecisionStatus(instance, decision)
+            },
+            redirectAttempts: instance.redirectAttempts,
+            redirectFailed: instance.redirectFailed,
+            actionDone: instance.actionDone,
+            dryRun: instance.dryRun,
+            polling: {
+                paused: instance.pollingPaused || document.hidden,
+                remaining: instance.pollingDeadline === Infinity ? null : Math.max(0, instance.pollingDeadline - now),
+                pollers: instance.pollers.map(function(poller) {
+                    return { detector: poller.detector, interval: poller.interval, running: poller.timer !== null };
+                })
+            },
+            manualButton: {
+                shown: instance.manualButton.element !== null,
+                scheduled: instance.manualButton.timers.length,
+                interacted: instance.manualButton.interacted
+            },
+            signals: instance.evidence.map(function(entry) {
+                return {
+                    method: entry.method,
+                    confidence: entry.confidence,
+                    score: entry.score,
+                    age: now - entry.time,
+                    data: entry.data
+                };
+            })
+        };
+    }
+    
+    /**
+     * Frozen deep copy of plain objects and arrays; anything else (DOM
+     * nodes, functions) is kept as a reference
+     */
+    function toSnapshot(value) {
+        let copy;
+        
+        if (Array.isArray(value)) {
+            copy = value.map(toSnapshot);
+        } else if (isPlainObject(value)) {
+            copy = {};
+            Object.keys(value).forEach(function(key) {
+                copy[key] = toSnapshot(value[key]);
+            });
+        } else {
+            return value;
+        }
+        
+        return Object.freeze(copy);
+    }
+    
+    /**
+     * Record what the detectors can observe, for replay() and for
+     * regression tests: postMessages, iframe loads and readable URLs,
+     * mutations in the booking containers, iframe resizes and custom
+     * events, plus the signals and redirects that actually happened.
+     * The recording is kept in sessionStorage, so it survives the
+     * redirect and can be read with getRecording() on the next page.
+     */
+    function startRecording() {
+        if (!STATE.initialized) {
+            log.error('Redirect handler not initialized');
+            return false;
+        }
+        
+        if (STATE.recorder) {
+            return true;
+        }
+        
+        const recorder = {
+            recording: {
+                version: RECORDING_VERSION,
+                startedAt: new Date().toISOString(),
+                page: window.location.href,
+                userAgent: window.navigator.userAgent,
+                iframes: [],
+                entries: []
+            },
+            start: Date.now(),
+            cleanups: [],
+            saveTimer: null
+        };
+        
+        function onMessage(event) {
+            recordMessage(event);
+        }
+        
+        window.addEventListener('message', onMessage);
+        recorder.cleanups.push(function() {
+            window.removeEventListener('message', onMessage);
+        });
+        
+        getCustomEventNames().forEach(function(name) {
+            function onCustomEvent(event) {
+                const target = event.detail && event.detail.iframe;
+                const instance = findInstance(target);
+                
+                recordEntry('customEvent', instance, {
+                    name: name,
+                    detail: toRecordable(event.detail)
+                });
+            }
+            
+            window.addEventListener(name, onCustomEvent);
+            recorder.cleanups.push(function() {
+                window.removeEventListener(name, onCustomEvent);
+            });
+        });
+        
+        STATE.recorder = recorder;
+        STATE.instances.forEach(recordInstance);
+        
+        log.info('Recording started');
+        return true;
+    }
+    
+    /**
+     * Stop recording; returns the recording
+     */
+    function stopRecording() {
+        const recorder = STATE.recorder;
+        
+        if (!recorder) {
+            return getRecording();
+        }
+        
+        recorder.cleanups.forEach(function(cleanup) {
+            cleanup();
+        });
+        
+        STATE.recorder = null;
+        saveRecording(recorder);
+        
+        log.info(`Recording stopped (${recorder.recording.entries.length} entries)`);
+        return recorder.recording;
+    }
+    
+    /**
+     * The current recording, or the last one saved in this tab
+     */
+    function getRecording() {
+        if (STATE.recorder) {
+            return STATE.recorder.recording;
+        }
+        
+        try {
+            return JSON.parse(window.sessionStorage.getItem(RECORDING_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    /**
+     * Watch one iframe: loads, readable URL changes, resizes and mutations
+     * in its booking container
+     */
+    function recordInstance(instance) {
+        const recorder = STATE.recorder;
+        const iframe = instance.iframe;
+        let lastUrl = null;
+        
+        recorder.recording.iframes.push({
+            id: instance.id,
+            src: iframe.getAttribute('src') || iframe.dataset.src || null
+        });
+        
+        function readUrl() {
+            try {
+                return iframe.contentWindow.location.href;
+            } catch (e) {
+                return null; // Cross-origin
+            }
+        }
+        
+        function onLoad() {
+            recordEntry('load', instance, { url: readUrl() });
+        }
+        
+        iframe.addEventListener('load', onLoad);
+        recorder.cleanups.push(function() {
+            iframe.removeEventListener('load', onLoad);
+        });
+        
+        const urlTimer = setInterval(function() {
+            const url = readUrl();
+            
+            if (url && url !== lastUrl) {
+                lastUrl = url;
+                recordEntry('url', instance, { url: url });
+            }
+        }, instance.config.checkInterval);
+        recorder.cleanups.push(function() {
+            clearInterval(urlTimer);
+        });
+        
+        if (typeof ResizeObserver !== 'undefined') {
+            const resizeObserver = new ResizeObserver(function() {
+                recordEntry('resize', instance, {
+                    width: iframe.offsetWidth,
+                    height: iframe.offsetHeight
+                });
+            });
+            
+            resizeObserver.observe(iframe);
+            recorder.cleanups.push(function() {
+                resizeObserver.disconnect();
+            });
+        }
+        
+        const container = getObservedContainer(iframe, instance.config);
+        
+        if (container) {
+            const ignore = instance.config.mutationObserver.ignoreSelectors.join(', ');
+            const mutationObserver = new MutationObserver(function(mutations) {
+                mutations.forEach(function(mutation) {
+                    const entry = serializeMutation(mutation, ignore);
+                    if (entry) {
+                        recordEntry('mutation', instance, entry);
+                    }
+                });
+            });
+            
+            mutationObserver.observe(container, {
+                childList: true,
+                subtree: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: ['class'].concat(instance.config.successIndicators.dataAttributes)
+            });
+            recorder.cleanups.push(function() {
+                mutationObserver.disconnect();
+            });
+        }
+    }
+    
+    function recordMessage(event) {
+        const data = event.data;
+        const instance = findInstance(event.source);
+        
+        // The relay token is replaced with whether it was valid
+        if (isPlainObject(data) && data.type === RELAY_MESSAGE) {
+            const relay = Object.assign({}, data);
+            delete relay.token;
+            
+            recordEntry('message', instance, {
+                origin: event.origin,
+                data: toRecordable(relay),
+                relayValid: event.origin === window.location.origin && Boolean(data.token) && data.token === getRelayToken()
+            });
+            return;
+        }
+        
+        recordEntry('message', instance, {
+            origin: event.origin,
+            data: toRecordable(data)
+        });
+    }
+    
+    /**
+     * Add an entry; time is in ms since the recording started
+     */
+    function recordEntry(type, instance, details) {
+        const recorder = STATE.recorder;
+        
+        if (!recorder) {
+            return;
+        }
+        
+        const entries = recorder.recording.entries;
+        
+        if (entries.length >= MAX_RECORDED_ENTRIES) {
+            recorder.recording.truncated = true;
+            return;
+        }
+        
+        entries.push(Object.assign({
+            time: Date.now() - recorder.start,
+            type: type,
+            iframe: instance ? instance.id : null
+        }, details));
+        
+        if (!recorder.saveTimer) {
+            recorder.saveTimer = setTimeout(function() {
+                saveRecording(recorder);
+            }, 1000);
+        }
+    }
+    
+    function saveRecording(recorder) {
+        clearTimeout(recorder.saveTimer);
+        recorder.saveTimer = null;
+        
+        try {
+            window.sessionStorage.setItem(RECORDING_KEY, JSON.stringify(recorder.recording));
+        } catch (e) {
+            log.warn('Could not store recording:', e);
+        }
+    }
+    
+    /**
+     * Mutation as { kind, html, ignored }: the added nodes, or the changed
+     * element without its children (attributes) or with its text only
+     * (characterData). Removals aren't recorded.
+     */
+    function serializeMutation(mutation, ignore) {
+        const target = mutation.type === 'characterData' ? mutation.target.parentElement : mutation.target;
+        
+        if (!target) {
+            return null;
+        }
+        
+        let html;
+        
+        if (mutation.type === 'childList') {
+            html = Array.prototype.map.call(mutation.addedNodes, function(node) {
+                return node.nodeType === 1 ? node.outerHTML : node.nodeType === 3 ? escapeHtml(node.nodeValue) : '';
+            }).join('');
+            
+            if (!html) {
+                return null;
+            }
+        } else {
+            const copy = target.cloneNode(false);
+            if (mutation.type === 'characterData') {
+                copy.textContent = getObservedText(target, ignore);
+            }
+            html = copy.outerHTML;
+        }
+        
+        return {
+            kind: mutation.type,
+            html: html.length > MAX_RECORDED_HTML ? html.slice(0, MAX_RECORDED_HTML) : html,
+            ignored: isIgnored(target, ignore)
+        };
+    }
+    
+    /**
+     * JSON-safe copy with personal details (REDACTED_KEYS) removed
+     */
+    function toRecordable(value) {
+        let copy;
+        
+        try {
+            copy = JSON.parse(JSON.stringify(value === undefined ? null : value));
+        } catch (e) {
+            return String(value);
+        }
+        
+        return redact(copy);
+    }
+    
+    function redact(value) {
+        if (Array.isArray(value)) {
+            return value.map(redact);
+        }
+        
+        if (isPlainObject(value)) {
+            Object.keys(value).forEach(function(key) {
+                value[key] = REDACTED_KEYS.indexOf(key.toLowerCase()) !== -1 && value[key] !== null ? '[redacted]' : redact(value[key]);
+            });
+        }
+        
+        return value;
+    }
+    
+    function getCustomEventNames() {
+        const names = CONFIG.customEventNames.slice();
+        
+        STATE.instances.forEach(function(instance) {
+            instance.config.customEventNames.forEach(function(name) {
+                addOnce(names, name);
+            });
+        });
+        
+        return names;
+    }
+    
+    /**
+     * Run a recording through the built-in detectors' scoring, with the
+     * current options merged with options (e.g. to try another threshold).
+     * Returns { trigger, timeline, recorded }: trigger is the first step
+     * that would have called triggerRedirect (or null), timeline every
+     * step that produced a signal, recorded the redirects that happened
+     * while recording. Each recorded iframe gets the provider profile of
+     * its src. Custom detectors can't be replayed.
+     */
+    function replay(recording, options) {
+        if (typeof recording === 'string') {
+            recording = JSON.parse(recording);
+        }
+        
+        if (!recording || !Array.isArray(recording.entries)) {
+            log.error('Not a redirect handler recording');
+            return null;
+        }
+        
+        const config = deepMerge(deepMerge({}, CONFIG || DEFAULTS), options || {});
+        const errors = validateConfig(config);
+        
+        if (errors.length > 0) {
+            log.error('Invalid replay options:\n- ' + errors.join('\n- '));
+            return null;
+        }
+        
+        const defaultIframe = recording.iframes && recording.iframes[0] ? recording.iframes[0].id : null;
+        const iframes = {};
+        const timeline = [];
+        let trigger = null;
+        
+        recording.entries.forEach(function(entry) {
+            const id = entry.iframe || defaultIframe;
+            const instance = iframes[id] || (iframes[id] = createReplayInstance(config, recording, id));
+            const signal = replayEntry(entry, instance.config);
+            
+            if (!signal || !isMethodEnabled(instance.config, signal.method)) {
+                return;
+            }
+            
+            const decision = addEvidence(instance, signal.method, signal.confidence, signal.data, entry.time);
+            const step = {
+                time: entry.time,
+                iframe: id,
+                type: entry.type,
+                method: signal.method,
+                confidence: signal.confidence,
+                total: decision.total,
+                threshold: decision.threshold,
+                redirect: decision.redirect,
+                data: signal.data
+            };
+            
+            timeline.push(step);
+            
+            if (decision.redirect && !trigger) {
+                trigger = step;
+            }
+        });
+        
+        return {
+            trigger: trigger,
+            timeline: timeline,
+            recorded: recording.entries.filter(function(entry) {
+                return entry.type === 'redirect';
+            })
+        };
+    }
+    
+    /**
+     * Replay state of a recorded iframe, with the provider profile of its src
+     */
+    function createReplayInstance(config, recording, id) {
+        const iframe = (recording.iframes || []).find(function(entry) {
+            return entry.id === id;
+        });
+        const iframeConfig = deepMerge({}, config);
+        
+        applyProvider(iframeConfig, iframe ? iframe.src : null);
+        return { config: iframeConfig, evidence: [] };
+    }
+    
+    /**
+     * Signal a recorded entry would have produced: { method, confidence, data }
+     */
+    function replayEntry(entry, config) {
+        let result = null;
+        let method = null;
+        let data = null;
+        
+        if (entry.type === 'message' && isPlainObject(entry.data) && entry.data.type === RELAY_MESSAGE) {
+            return entry.relayValid ? { method: 'relayPage', confidence: 1, data: entry.data } : null;
+        }
+        
+        if (entry.type === 'message') {
+            const message = isAllowedOrigin(entry.origin, config) ? parseMessage(entry.data, config) : null;
+            
+            if (message) {
+                result = scoreMessage(message, config);
+                method = 'postMessage';
+                data = message;
+            }
+        } else if ((entry.type === 'url' || entry.type === 'load') && entry.url) {
+            result = scoreUrl(entry.url, config);
+            method = entry.type === 'url' ? 'urlMonitoring' : 'navigationWatcher';
+        } else if (entry.type === 'mutation' && !entry.ignored) {
+            result = scoreRecordedMutation(entry, config);
+            method = 'mutationObserver';
+        } else if (entry.type === 'customEvent' && config.customEventNames.indexOf(entry.name) !== -1) {
+            return { method: 'customEvents', confidence: 1, data: entry.detail };
+        }
+        
+        if (!result || result.score === 0) {
+            return null;
+        }
+        
+        return { method: method, confidence: result.score, data: data || result };
+    }
+    
+    /**
+     * Score a recorded mutation like the mutationObserver detector. The
+     * HTML is parsed in an inert document, so recordings can't run scripts.
+     */
+    function scoreRecordedMutation(entry, config) {
+        const doc = document.implementation.createHTMLDocument('');
+        doc.body.innerHTML = entry.html || '';
+        
+        const element = doc.body.firstElementChild;
+        let mutation;
+        
+        if (entry.kind === 'childList') {
+            mutation = { type: 'childList', target: doc.body, addedNodes: doc.body.childNodes };
+        } else if (!element) {
+            return null;
+        } else if (entry.kind === 'characterData') {
+            mutation = { type: 'characterData', target: { parentElement: element } };
+        } else {
+            mutation = { type: 'attributes', target: element };
+        }
+        
+        return scoreMutations([mutation], config);
+    }
+    
+    /**
+     * Dispatch a lifecycle event. The config callback runs first, then a
+     * "redirecthandler:<name>" CustomEvent on the iframe (bubbling up to
+     * window), or on window for page-level events.
+     * Returns { result, event } with the callback's return value.
+     */
+    function emit(name, detail, instance, config) {
+        config = config || (instance ? instance.config : CONFIG || DEFAULTS);
+        
+        if (instance) {
+            detail.iframe = instance.id;
+        }
+        
+        const result = runCallback(config, LIFECYCLE_CALLBACKS[name], detail);
+        const event = new CustomEvent(EVENT_PREFIX + name, {
+            detail: detail,
+            bubbles: true,
+            cancelable: name === 'beforeRedirect'
+        });
+        
+        const target = instance && instance.iframe.isConnected ? instance.iframe : window;
+        target.dispatchEvent(event);
+        renderDebugPanel();
+        
+        return { result: result, event: event };
+    }
+    
+    function runCallback(config, callbackName, detail) {
+        const callback = config.callbacks && config.callbacks[callbackName];
+        
+        if (typeof callback !== 'function') {
+            return undefined;
+        }
+        
+        try {
+            return callback(detail);
+        } catch (e) {
+            log.error('Callback failed:', callbackName, e);
+            return undefined;
+        }
+    }
+    
+    /**
+     * Listen for a lifecycle event from any iframe
+     * Returns a function that removes the listener.
+     */
+    function on(name, listener) {
+        window.addEventListener(EVENT_PREFIX + name, listener);
+        
+        return function() {
+            off(name, listener);
+        };
+    }
+    
+    function off(name, listener) {
+        window.removeEventListener(EVENT_PREFIX + name, listener);
+    }
+    
+    /**
+     * Stop everything init() started: detectors, pollers, observers,
+     * listeners, timers and a pending redirect. Elements the handler added
+     * are removed. init() can be called again afterwards, e.g. when a
+     * single-page app mounts the booking view again.
+     */
+    function destroy() {
+        if (!STATE.initialized) {
+            return false;
+        }
+        
+        const pending = STATE.pendingRedirect;
+        if (pending) {
+            clearPendingTimers(pending);
+            STATE.pendingRedirect = null;
+        }
+        hideOverlay();
+        
+        STATE.instances.forEach(function(instance) {
+            Object.keys(instance.detectors).forEach(function(name) {
+                stopDetector(instance, name);
+            });
+            
+            instance.pollers.slice().forEach(function(poller) {
+                poller.stop();
+            });
+            
+            instance.manualButton.timers.forEach(clearTimeout);
+            if (instance.manualButton.element) {
+                instance.manualButton.element.remove();
+            }
+            
+            if (instance.srcObserver) {
+                instance.srcObserver.disconnect();
+            }
+        });
+        
+        if (STATE.iframeObserver) {
+            STATE.iframeObserver.disconnect();
+        }
+        
+        window.removeEventListener('blur', trackActiveIframe);
+        window.removeEventListener('pagehide', onPageHide);
+        window.removeEventListener('pageshow', onPageShow);
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+        
+        STATE.modals.slice().forEach(function(close) {
+            close();
+        });
+        
+        if (STATE.loadingOverlay && STATE.loadingOverlay.hasAttribute('data-redirect-handler')) {
+            STATE.loadingOverlay.remove();
+        }
+        
+        hideDebugPanel();
+        stopRecording();
+        
+        const styles = document.getElementById('redirect-handler-styles');
+        if (styles) {
+            styles.remove();
+        }
+        
+        STATE.initialized = false;
+        STATE.loadingOverlay = null;
+        STATE.instances = [];
+        STATE.iframeCount = 0;
+        STATE.iframeObserver = null;
+        STATE.activeInstance = null;
+        CONFIG = null;
+        
+        log.info('Redirect handler destroyed');
+        return true;
+    }
+    
+    /**
+     * Manual trigger function (can be called from console or by custom button)
+     * target is an iframe element or id; defaults to the iframe the visitor
+     * last interacted with, or the first one.
+     */
+    function triggerManualRedirect(target) {
+        if (!STATE.initialized) {
+            log.error('Redirect handler not initialized');
+            return;
+        }
+        
+        const instance = target ? findInstance(target) : STATE.activeInstance || STATE.instances[0];
+        
+        if (!instance) {
+            log.error('Booking iframe not found:', target);
+            return;
+        }
+        
+        log.info('Manual redirect triggered');
+        triggerRedirect(instance, 'manual');
+    }
+    
+    // Built-in detection methods
+    register('postMessage', setupPostMessageListener, teardownPostMessageListener);
+    register('urlMonitoring', setupUrlMonitoring, teardownUrlMonitoring);
+    register('mutationObserver', setupMutationObserver, teardownMutationObserver);
+    register('navigationWatcher', setupNavigationWatcher, teardownNavigationWatcher);
+    register('customEvents', setupCustomEventListener, teardownCustomEventListener);
+    register('relayPage', setupRelayListener, teardownRelayListener);
+    
+    // Built-in booking provider profiles
+    registerProvider('appointmentcore', {
+        origins: ['https://go.appointmentcore.com', 'https://appointmentcore.com', 'https://www.appointmentcore.com'],
+        parseMessage: parseAppointmentCoreMessage
+    });
+    registerProvider('calendly', {
+        origins: ['https://calendly.com'],
+        parseMessage: parseCalendlyMessage,
+        urlPatterns: ['/invitees/'],
+        rewriteSrc: rewriteCalendlySrc
+    });
+    registerProvider('calcom', {
+        origins: ['https://cal.com', 'https://app.cal.com'],
+        parseMessage: parseCalComMessage,
+        urlPatterns: ['/booking/'],
+        rewriteSrc: rewriteCalComSrc
+    });
+    registerProvider('hubspot', {
+        origins: ['https://meetings.hubspot.com'],
+        match: isHubSpotMeetingsHost,
+        parseMessage: parseHubSpotMessage,
+        rewriteSrc: rewriteHubSpotSrc
+    });
+    registerProvider('acuity', {
+        origins: ['https://app.acuityscheduling.com'],
+        match: isAcuityHost,
+        parseMessage: parseAcuityMessage,
+        urlPatterns: ['confirmation']
+    });
+    
+    // Built-in analytics adapters
+    registerAnalytics('ga4', trackGa4);
+    registerAnalytics('universal', trackUniversal);
+    registerAnalytics('gtm', trackGtm);
+    registerAnalytics('facebook', trackFacebook);
+    registerAnalytics('linkedin', trackLinkedIn);
+    registerAnalytics('tiktok', trackTikTok);
+    registerAnalytics('custom', trackCustomEndpoint);
+    
+    // Public API
+    window.RedirectHandler = {
+        init: init,
+        register: register,
+        registerAnalytics: registerAnalytics,
+        registerProvider: registerProvider,
+        on: on,
+        off: off,
+        destroy: destroy,
+        flushAnalyticsQueue: flushAnalyticsQueue,
+        triggerManualRedirect: triggerManualRedirect,
+        redirectNow: redirectNow,
+        cancelRedirect: cancelRedirect,
+        getStorageKeys: getStorageKeys,
+        inspect: inspect,
+        startRecording: startRecording,
+        stopRecording: stopRecording,
+        getRecording: getRecording,
+        replay: replay,
+        
+        // Leveled logger (error, warn, info, verbose) following debug.level,
+        // for callbacks and page scripts
+        log: log
+    };
+    
+    window.triggerManualRedirect = triggerManualRedirect;
+    
+    // Auto-initialize when DOM is ready. Deferred to the next task so page
+    // scripts calling RedirectHandler.init() on DOMContentLoaded take precedence.
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
+        document.addEventListener('DOMContentLoaded', function() {
+            setTimeout(autoInit, 0);
+        });
     } else {
-        init();
+        setTimeout(autoInit, 0);
     }
     
 })();
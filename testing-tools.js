@@ -6,109 +6,224 @@
  */
 
 // === TESTING FUNCTIONS ===
+// Simulated signals go through the live handler: a detected booking
+// redirects, unless the page is opened with ?redirect_debug=dryrun.
 
 /**
- * Simulate a successful booking postMessage
- * Usage: simulatePostMessage()
+ * Simulate a booking postMessage from the booking iframe. It reaches the
+ * postMessage detector like a real one, from the iframe's origin (or the
+ * first of allowedOrigins if the iframe's isn't allowed).
+ * Usage: simulatePostMessage() or simulatePostMessage({ type: 'bookingCreated' }, 'booking-iframe')
  */
-function simulatePostMessage() {
-    window.postMessage({
-        type: 'bookingComplete',
-        success: true,
-        bookingId: 'test-123'
-    }, '*');
-    console.log('✓ Simulated postMessage sent');
+function simulatePostMessage(data, iframeId) {
+    const iframe = getIframeState(getHandlerState(), iframeId);
+    if (!iframe) return;
+    
+    const iframeOrigin = new URL(iframe.element.src || location.href, location.href).origin;
+    const origin = iframe.config.allowedOrigins.includes(iframeOrigin) ? iframeOrigin : iframe.config.allowedOrigins[0];
+    
+    window.dispatchEvent(new MessageEvent('message', {
+        data: data || {
+            type: 'bookingComplete',
+            success: true,
+            bookingId: 'test-123'
+        },
+        origin: origin,
+        source: iframe.element.contentWindow
+    }));
+    console.log(`✓ Simulated postMessage sent (origin: ${origin}, iframe: ${iframe.id})`);
+    logDecision(iframe.id);
 }
 
 /**
- * Simulate a success URL change
- * Usage: simulateUrlChange()
+ * Score a URL like the urlMonitoring detector would if the iframe navigated
+ * to it. The iframe's real URL can't be changed (cross-origin), so this
+ * never redirects.
+ * Usage: simulateUrlChange() or simulateUrlChange('https://go.appointmentcore.com/book/x/booked')
  */
-function simulateUrlChange() {
-    // This won't actually change the iframe URL due to cross-origin,
-    // but you can test the URL checking logic
-    const testUrl = 'https://go.appointmentcore.com/book/success';
+function simulateUrlChange(url, iframeId) {
+    const iframe = getIframeState(getHandlerState(), iframeId);
+    if (!iframe) return null;
+    
+    const testUrl = url || 'https://go.appointmentcore.com/book/success';
+    const step = replaySample(iframe, { type: 'url', url: testUrl });
+    
     console.log('Testing URL:', testUrl);
-    console.log('Would be detected as success:', testUrl.includes('success'));
+    if (!iframe.config.methods.urlMonitoring) {
+        console.log('✗ urlMonitoring is disabled');
+    } else if (step) {
+        console.log(`${step.redirect ? '✓ Would redirect' : '✗ Not enough to redirect'}: confidence ${step.confidence.toFixed(2)}, total ${step.total.toFixed(2)} / ${step.threshold}`);
+    } else {
+        console.log('✗ Not detected as success');
+    }
+    return step;
 }
 
 /**
- * Simulate a custom event
- * Usage: simulateCustomEvent()
+ * Simulate a custom event (the first of customEventNames by default)
+ * Usage: simulateCustomEvent() or simulateCustomEvent('bookingComplete')
  */
-function simulateCustomEvent() {
-    const event = new CustomEvent('appointmentBooked', {
+function simulateCustomEvent(name, iframeId) {
+    const iframe = getIframeState(getHandlerState(), iframeId);
+    if (!iframe) return;
+    
+    const eventName = name || iframe.config.customEventNames[0] || 'appointmentBooked';
+    const event = new CustomEvent(eventName, {
         detail: {
+            iframe: iframe.id,
             bookingId: 'test-123',
             timestamp: Date.now()
         }
     });
     window.dispatchEvent(event);
-    console.log('✓ Simulated custom event dispatched');
+    console.log(`✓ Simulated custom event dispatched: ${eventName}`);
+    logDecision(iframe.id);
 }
 
 /**
- * Test all detection methods
+ * Score a sample booking signal for each detection method against the
+ * iframe's configuration, without redirecting
  * Usage: testAllMethods()
  */
-function testAllMethods() {
-    console.log('=== Testing All Detection Methods ===');
+function testAllMethods(iframeId) {
+    const state = getHandlerState();
+    const iframe = getIframeState(state, iframeId);
+    if (!iframe) return null;
     
-    setTimeout(() => {
-        console.log('1. Testing postMessage...');
-        simulatePostMessage();
-    }, 1000);
+    const config = iframe.config;
+    const indicators = config.successIndicators;
+    const successUrl = `${config.allowedOrigins[0] || location.origin}/book/thank-you`;
+    const samples = {
+        postMessage: { type: 'message', origin: config.allowedOrigins[0], data: { type: 'bookingComplete', success: true, bookingId: 'test-123' } },
+        urlMonitoring: { type: 'url', url: successUrl },
+        navigationWatcher: { type: 'load', url: successUrl },
+        mutationObserver: {
+            type: 'mutation',
+            kind: 'childList',
+            html: indicators.cssClasses.length > 0
+                ? `<div class="${indicators.cssClasses[0]}"></div>`
+                : `<p>${indicators.messagePatterns[0] || ''}</p>`
+        },
+        customEvents: { type: 'customEvent', name: config.customEventNames[0], detail: { iframe: iframe.id } }
+    };
     
-    setTimeout(() => {
-        console.log('2. Testing custom event...');
-        simulateCustomEvent();
-    }, 2000);
+    console.log(`=== Testing All Detection Methods (${iframe.id}) ===`);
+    const results = Object.keys(samples).map(method => {
+        const disabled = iframe.detectors[method] === 'disabled';
+        const step = disabled ? null : replaySample(iframe, samples[method]);
+        return {
+            method: method,
+            detector: iframe.detectors[method] || 'not registered',
+            confidence: step ? step.confidence.toFixed(2) : '-',
+            result: disabled ? '✗ disabled' : step ? (step.redirect ? '✓ would redirect' : '✗ below threshold') : '✗ not detected'
+        };
+    });
+    console.table(results);
     
-    setTimeout(() => {
-        console.log('3. Testing manual redirect...');
-        if (typeof window.triggerManualRedirect === 'function') {
-            console.log('✓ Manual redirect function available');
-        } else {
-            console.log('✗ Manual redirect function not found');
-        }
-    }, 3000);
+    console.log(`Manual redirect: ${typeof window.triggerManualRedirect === 'function' ? '✓ available' : '✗ not found'}`);
+    return results;
 }
 
 /**
- * Check current detection status
+ * Show what the handler is doing: detectors, decision, counters, timers
+ * and the signals received, per booking iframe
  * Usage: checkStatus()
  */
 function checkStatus() {
     console.log('=== Redirect Handler Status ===');
+    if (!isHandlerLoaded()) return null;
+    
+    const state = RedirectHandler.inspect();
+    console.log('Initialized:', state.initialized);
+    if (!state.initialized) {
+        console.log('✗ Call RedirectHandler.init(), or look for configuration errors above');
+        return state;
+    }
+    
+    const pending = state.pendingRedirect;
+    const completed = state.completedBooking;
     console.log('Manual redirect available:', typeof window.triggerManualRedirect === 'function');
-    console.log('Iframe found:', document.getElementById('booking-iframe') !== null);
-    console.log('Loading overlay found:', document.getElementById('loadingOverlay') !== null);
+    console.log('Loading overlay found:', document.querySelector(state.config.loadingOverlaySelector) !== null);
+    console.log('Dry run:', state.config.debug.dryRun);
+    console.log('Recording:', state.recording ? `${state.recording.entries} entries` : 'off');
+    console.log('Completed booking:', completed
+        ? `${new Date(completed.timestamp).toISOString()} - detected redirects suppressed, see clearBookingStorage()`
+        : 'none');
+    console.log('Pending redirect:', pending
+        ? `${pending.method} -> ${pending.destination} (${pending.status}${pending.remaining !== null ? `, ${Math.ceil(pending.remaining / 1000)} s` : ''})`
+        : 'none');
+    
+    console.log(`\nBooking iframes: ${state.iframes.length}`);
+    if (state.iframes.length === 0) {
+        console.log(`✗ No iframe matches iframeSelector: ${state.config.iframeSelector}`);
+    }
+    
+    state.iframes.forEach(iframe => {
+        const polling = iframe.polling;
+        const running = polling.pollers.filter(poller => poller.running).length;
+        const button = iframe.manualButton;
+        
+        console.log(`\n--- ${iframe.id}${iframe.id === state.activeIframe ? ' (last used)' : ''} ---`);
+        console.log(`Decision: ${iframe.decision.total.toFixed(2)} / ${iframe.decision.threshold} - ${iframe.decision.status}`);
+        console.log(`Redirect attempts: ${iframe.redirectAttempts} / ${iframe.config.maxRedirectAttempts}${iframe.redirectFailed ? ' (failed)' : ''}`);
+        console.log(`Polling: ${running} of ${polling.pollers.length} timer(s) running` +
+            (polling.remaining !== null && polling.pollers.length > 0 ? `, stops in ${Math.round(polling.remaining / 1000)} s` : ''));
+        console.log('Manual button:', button.shown ? 'shown' : button.scheduled > 0 ? 'scheduled' : 'off');
+        console.log('Detectors:');
+        console.table(iframe.detectors);
+        
+        if (iframe.signals.length === 0) {
+            console.log('Signals: none within the scoring window');
+        } else {
+            console.log('Signals:');
+            console.table(iframe.signals.map(signal => ({
+                method: signal.method,
+                confidence: signal.confidence.toFixed(2),
+                score: signal.score.toFixed(2),
+                received: `${Math.round(signal.age / 1000)} s ago`
+            })));
+        }
+    });
     
-    // Check if event listeners are active
-    console.log('\nActive listeners:');
-    console.log('- postMessage: Active (always listening)');
-    console.log('- custom events: Active (multiple event types)');
+    return state;
 }
 
 /**
- * Force redirect (for testing)
- * Usage: forceRedirect()
+ * Redirect as if the visitor clicked the manual button, to the
+ * iframe's configured destination
+ * Usage: forceRedirect() or forceRedirect('booking-iframe')
  */
-function forceRedirect() {
+function forceRedirect(iframeId) {
+    if (!getHandlerState()) return;
+    
+    const start = Date.now();
     console.log('Forcing redirect...');
-    if (typeof window.triggerManualRedirect === 'function') {
-        window.triggerManualRedirect();
+    RedirectHandler.triggerManualRedirect(iframeId);
+    
+    const state = RedirectHandler.inspect();
+    const pending = state.pendingRedirect;
+    const dryRun = state.iframes.find(iframe => iframe.dryRun && iframe.dryRun.time >= start);
+    
+    if (pending) {
+        console.log(`✓ Redirecting to ${pending.destination}`);
+    } else if (dryRun) {
+        console.log(`✓ Dry run, would redirect to ${dryRun.dryRun.destination}`);
     } else {
-        window.location.href = 'https://studentmarketing.agency/thanks-appointment/';
+        console.log('✗ No redirect started, see checkStatus()');
     }
 }
 
 /**
- * Clear localStorage (if used)
+ * Clear the completed-booking record (fallback.storageKey) and legacy keys
  * Usage: clearBookingStorage()
  */
 function clearBookingStorage() {
     const keys = ['appointment_completed', 'booking_completed', 'redirect_triggered'];
+    if (typeof RedirectHandler !== 'undefined') {
+        RedirectHandler.getStorageKeys().forEach(key => {
+            if (!keys.includes(key)) keys.push(key);
+        });
+    }
     keys.forEach(key => {
         localStorage.removeItem(key);
         sessionStorage.removeItem(key);
@@ -140,11 +255,13 @@ function monitorAllEvents() {
 }
 
 /**
- * Inspect iframe (will likely fail due to cross-origin)
- * Usage: inspectIframe()
+ * Inspect a booking iframe (its document is only readable same-origin)
+ * Usage: inspectIframe() or inspectIframe('booking-iframe')
  */
-function inspectIframe() {
-    const iframe = document.getElementById('booking-iframe');
+function inspectIframe(iframeId) {
+    const state = getHandlerState();
+    const handled = state && getIframeState(state, iframeId);
+    const iframe = handled ? handled.element : document.getElementById(iframeId || 'booking-iframe');
     if (!iframe) {
         console.log('✗ Iframe not found');
         return;
@@ -154,6 +271,12 @@ function inspectIframe() {
     console.log('Source:', iframe.src);
     console.log('Width:', iframe.width);
     console.log('Height:', iframe.height);
+    if (handled) {
+        console.log('Handled as:', handled.id);
+        console.log('Redirect URL:', handled.config.redirectUrl);
+    } else {
+        console.log('✗ Not handled by the redirect handler');
+    }
     
     try {
         const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
@@ -167,14 +290,179 @@ function inspectIframe() {
 }
 
 /**
- * Get redirect handler configuration
- * Usage: getConfig()
+ * Show the effective configuration, of the handler or of one iframe
+ * (with its iframes[] overrides and data attributes applied)
+ * Usage: getConfig() or getConfig('booking-iframe')
+ */
+function getConfig(iframeId) {
+    const state = getHandlerState();
+    if (!state) return null;
+    
+    const iframe = iframeId ? getIframeState(state, iframeId) : null;
+    if (iframeId && !iframe) return null;
+    
+    const config = iframe ? iframe.config : state.config;
+    const statuses = (iframe || state.iframes[0] || {}).detectors || {};
+    const methods = state.detectors.filter(name => statuses[name] ? statuses[name] !== 'disabled' : config.methods[name] === true);
+    
+    console.log(`=== Configuration${iframe ? ` (${iframe.id})` : ''} ===`);
+    console.log('Redirect URL:', config.redirectUrl);
+    console.log('Routes:', config.routes.length);
+    console.log('Action:', typeof config.action === 'function' ? 'custom function' : config.action);
+    console.log(`Detection methods: ${methods.length} (${methods.join(', ')})`);
+    console.log('Success indicators:', config.successIndicators.urlPatterns.join(', '));
+    console.log('Scoring threshold:', config.scoring.threshold);
+    console.log('Allowed origins:', config.allowedOrigins.join(', '));
+    console.log('Full configuration:', config);
+    return config;
+}
+
+// === RECORDING AND REPLAY ===
+
+/**
+ * Record what the detectors observe (postMessages, iframe loads, mutations,
+ * resizes, custom events) until stopRecording(). Also started by opening
+ * the page with ?redirect_debug=record.
+ * Usage: startRecording()
+ */
+function startRecording() {
+    if (!isHandlerLoaded()) return false;
+    
+    const started = RedirectHandler.startRecording();
+    console.log(started ? '✓ Recording - reproduce the booking, then call stopRecording()' : '✗ Could not start recording');
+    return started;
+}
+
+/**
+ * Stop recording and return the recording
+ * Usage: stopRecording()
+ */
+function stopRecording() {
+    if (!isHandlerLoaded()) return null;
+    
+    const recording = RedirectHandler.stopRecording();
+    console.log(recording ? `✓ Recording stopped: ${recording.entries.length} entries` : '✗ No recording');
+    return recording;
+}
+
+/**
+ * Download the current recording, or the last one of this tab (it
+ * survives the redirect), as a JSON file
+ * Usage: downloadRecording()
+ */
+function downloadRecording(filename) {
+    if (!isHandlerLoaded()) return;
+    
+    const recording = RedirectHandler.getRecording();
+    if (!recording) {
+        console.log('✗ No recording in this tab');
+        return;
+    }
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(recording, null, 2)], { type: 'application/json' }));
+    link.download = filename || `redirect-recording-${recording.startedAt.replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    
+    console.log('✓ Recording downloaded:', link.download);
+}
+
+/**
+ * Replay a recording (object or JSON) against the detectors and show which
+ * signal would have triggered the redirect, and when. options are merged
+ * with the current configuration, e.g. to try another threshold.
+ * Usage: replayRecording(recording, { scoring: { threshold: 1.5 } })
+ */
+function replayRecording(recording, options) {
+    if (!isHandlerLoaded()) return null;
+    
+    const result = RedirectHandler.replay(recording || RedirectHandler.getRecording(), options);
+    if (!result) return null;
+    
+    console.log('=== Replay ===');
+    console.table(result.timeline.map(step => ({
+        time: step.time + ' ms',
+        iframe: step.iframe,
+        observed: step.type,
+        method: step.method,
+        confidence: step.confidence.toFixed(2),
+        total: step.total.toFixed(2) + ' / ' + step.threshold,
+        decision: step.redirect ? 'redirect' : 'wait'
+    })));
+    
+    if (result.trigger) {
+        console.log(`✓ Would redirect at ${result.trigger.time} ms via ${result.trigger.method} (iframe: ${result.trigger.iframe})`);
+    } else {
+        console.log('✗ No signal reaches the threshold');
+    }
+    
+    result.recorded.forEach(entry => {
+        console.log(`Recorded: redirected at ${entry.time} ms via ${entry.method}`);
+    });
+    
+    return result;
+}
+
+function isHandlerLoaded() {
+    if (typeof RedirectHandler === 'undefined') {
+        console.log('✗ redirect-handler.js not loaded');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * RedirectHandler.inspect() if the handler is initialized
+ */
+function getHandlerState() {
+    if (!isHandlerLoaded()) return null;
+    
+    const state = RedirectHandler.inspect();
+    if (!state.initialized) {
+        console.log('✗ Redirect handler not initialized');
+        return null;
+    }
+    return state;
+}
+
+/**
+ * State of a booking iframe by id, or of the first one
  */
-function getConfig() {
-    console.log('=== Configuration ===');
-    console.log('Redirect URL: https://studentmarketing.agency/thanks-appointment/');
-    console.log('Detection methods: 5 (postMessage, URL monitoring, mutation observer, navigation, custom events)');
-    console.log('Success indicators: thank, success, confirm, complete, booked, scheduled');
+function getIframeState(state, iframeId) {
+    if (!state) return null;
+    
+    const iframe = iframeId ? state.iframes.find(entry => entry.id === iframeId) : state.iframes[0];
+    if (!iframe) {
+        console.log(iframeId ? `✗ Booking iframe not found: ${iframeId}` : `✗ No iframe matches iframeSelector: ${state.config.iframeSelector}`);
+    }
+    return iframe || null;
+}
+
+/**
+ * Replay one observation against an iframe's configuration; returns the
+ * replay step, or null if it's no signal
+ */
+function replaySample(iframe, entry) {
+    const result = RedirectHandler.replay({
+        iframes: [{ id: iframe.id }],
+        entries: [Object.assign({ time: 0, iframe: iframe.id }, entry)]
+    }, iframe.config);
+    return result && result.timeline.length > 0 ? result.timeline[0] : null;
+}
+
+/**
+ * Log the latest signal and the decision of an iframe
+ */
+function logDecision(iframeId) {
+    const iframe = getIframeState(RedirectHandler.inspect(), iframeId);
+    if (!iframe) return;
+    
+    const signal = iframe.signals[iframe.signals.length - 1];
+    console.log(signal ? `Last signal: ${signal.method} ${signal.confidence.toFixed(2)}` : '✗ No signal received');
+    console.log(`Decision: ${iframe.decision.total.toFixed(2)} / ${iframe.decision.threshold} - ${iframe.decision.status}`);
 }
 
 /**
@@ -185,18 +473,29 @@ function showHelp() {
     console.log(`
 === Iframe Redirect Testing Console ===
 
-Available functions:
+Available functions (iframe: optional iframe id, default the first):
 
-  testAllMethods()       - Test all detection methods
-  checkStatus()          - Check current status
-  simulatePostMessage()  - Simulate success postMessage
-  simulateCustomEvent()  - Simulate custom event
-  forceRedirect()        - Force redirect now
+  checkStatus()          - Detectors, decision, timers and signals
+  getConfig(iframe)      - Show the effective configuration
+  testAllMethods(iframe) - Score a sample signal per method (no redirect)
+  simulateUrlChange(url) - Score an iframe URL (no redirect)
+  simulatePostMessage(data, iframe) - Send a booking postMessage
+  simulateCustomEvent(name, iframe) - Dispatch a booking custom event
+  forceRedirect(iframe)  - Redirect now, like the manual button
   clearBookingStorage()  - Clear storage
   monitorAllEvents()     - Monitor all events for 30s
-  inspectIframe()        - Inspect iframe details
-  getConfig()           - Show configuration
-  showHelp()            - Show this help
+  inspectIframe(iframe)  - Inspect iframe details
+  showHelp()             - Show this help
+
+Simulated postMessages and custom events redirect like real ones;
+open the page with ?redirect_debug=dryrun to only log the destination.
+
+Recording and replay:
+
+  startRecording()       - Record what the detectors observe
+  stopRecording()        - Stop and return the recording
+  downloadRecording()    - Save the recording as JSON
+  replayRecording(rec, options) - Show when a recording would redirect
 
 Example workflow:
   1. checkStatus()        - Check if everything is loaded
@@ -212,10 +511,15 @@ console.log('Redirect testing tools loaded. Type showHelp() for available comman
 window.testAllMethods = testAllMethods;
 window.checkStatus = checkStatus;
 window.simulatePostMessage = simulatePostMessage;
+window.simulateUrlChange = simulateUrlChange;
 window.simulateCustomEvent = simulateCustomEvent;
 window.forceRedirect = forceRedirect;
 window.clearBookingStorage = clearBookingStorage;
 window.monitorAllEvents = monitorAllEvents;
 window.inspectIframe = inspectIframe;
 window.getConfig = getConfig;
+window.startRecording = startRecording;
+window.stopRecording = stopRecording;
+window.downloadRecording = downloadRecording;
+window.replayRecording = replayRecording;
 window.showHelp = showHelp;
@@ -0,0 +1,176 @@
+/**
+ * Actions after a booking: redirect, top, pushState, inline, modal and
+ * custom functions
+ */
+
+'use strict';
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, waitUntil, delay, THANK_YOU_URL } = require('./helpers');
+
+let page = null;
+
+afterEach(function() {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+async function book(options, pageOptions) {
+    page = createPage(pageOptions);
+    page.init(options);
+    
+    page.provider.book({ bookingId: 'action-1' });
+    return page.waitFor('redirect');
+}
+
+function loggedWith(text) {
+    return page.logs.some(function(entry) {
+        return entry.join(' ').indexOf(text) !== -1;
+    });
+}
+
+describe('top', function() {
+    test('navigates the page itself when it isn\'t framed', async function() {
+        await book({ action: 'top' });
+        
+        assert.equal(page.navigations, 1);
+        assert.equal(loggedWith('Navigating the top frame'), false);
+    });
+    
+    test('navigates the top frame, then this frame if it stays', async function() {
+        await book({ action: 'top', retryDelay: 30, debug: { level: 'info' } }, { framed: true });
+        
+        assert.equal(page.navigations, 1);
+        assert.ok(loggedWith('Navigating the top frame'));
+        
+        await waitUntil(function() {
+            return loggedWith('Top frame did not navigate');
+        });
+        assert.equal(page.navigations, 2);
+    });
+});
+
+describe('pushState', function() {
+    test('pushes a same-origin destination and lets the router render it', async function() {
+        const pops = [];
+        page = createPage();
+        page.window.addEventListener('popstate', function(event) {
+            pops.push(event.state);
+        });
+        page.init({ action: 'pushState' });
+        
+        page.provider.book();
+        await page.waitFor('redirect');
+        
+        assert.equal(page.window.location.href, THANK_YOU_URL);
+        assert.equal(pops.length, 1);
+        assert.equal(pops[0].redirectHandler, true);
+        assert.equal(page.navigations, 0);
+        assert.equal(page.handler.inspect().iframes[0].actionDone, true);
+    });
+    
+    test('redirects to another origin instead', async function() {
+        await book({ action: 'pushState', redirectUrl: 'https://partner.example/thanks/' });
+        
+        assert.equal(page.navigations, 1);
+        assert.equal(page.handler.inspect().iframes[0].actionDone, false);
+    });
+});
+
+describe('inline', function() {
+    test('replaces the iframe with actionHtml, escaping placeholders', async function() {
+        await book({ action: 'inline', actionHtml: '<p class="done">Booked {bookingId} via {method}</p>' });
+        
+        const inline = page.document.querySelector('.redirect-inline');
+        assert.equal(page.document.getElementById('booking-iframe'), null);
+        assert.equal(inline.getAttribute('role'), 'status');
+        assert.equal(inline.querySelector('.done').textContent, 'Booked action-1 via postMessage');
+        assert.equal(page.document.activeElement, inline);
+        assert.equal(page.navigations, 0);
+    });
+    
+    test('escapes booking values', async function() {
+        page = createPage();
+        page.init({ action: 'inline', actionHtml: '<p>{bookingId}</p>' });
+        
+        page.provider.book({ bookingId: '<img src=x onerror=alert(1)>' });
+        await page.waitFor('redirect');
+        
+        const inline = page.document.querySelector('.redirect-inline');
+        assert.equal(inline.querySelector('img'), null);
+        assert.equal(inline.textContent, '<img src=x onerror=alert(1)>');
+    });
+    
+    test('shows the localized thank-you message without actionHtml', async function() {
+        await book({ action: 'inline', overlay: { locale: 'de' } });
+        
+        assert.equal(page.document.querySelector('.redirect-inline h2').textContent, 'Vielen Dank!');
+    });
+});
+
+describe('modal', function() {
+    test('shows the thank-you content in a dialog until closed', async function() {
+        await book({ action: 'modal' });
+        
+        const dialog = page.document.querySelector('.redirect-modal-dialog');
+        assert.equal(dialog.getAttribute('role'), 'dialog');
+        assert.equal(dialog.getAttribute('aria-modal'), 'true');
+        assert.ok(page.document.getElementById('booking-iframe'));
+        assert.equal(page.navigations, 0);
+        
+        dialog.querySelector('.redirect-modal-close').click();
+        assert.equal(page.document.querySelector('.redirect-modal'), null);
+    });
+    
+    test('closes on Escape', async function() {
+        await book({ action: 'modal' });
+        
+        page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+        assert.equal(page.document.querySelector('.redirect-modal'), null);
+    });
+    
+    test('ignores later detections for the iframe', async function() {
+        await book({ action: 'modal' });
+        
+        page.provider.book({ bookingId: 'action-2' });
+        await delay(50);
+        
+        assert.equal(page.eventsNamed('redirect').length, 1);
+        assert.equal(page.document.querySelectorAll('.redirect-modal').length, 1);
+    });
+});
+
+describe('function', function() {
+    test('is called with the destination and the booking', async function() {
+        const calls = [];
+        await book({
+            action: function(detail) {
+                calls.push(detail);
+            }
+        });
+        
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].iframe, 'booking-iframe');
+        assert.equal(calls[0].element, page.document.getElementById('booking-iframe'));
+        assert.equal(calls[0].method, 'postMessage');
+        assert.equal(calls[0].url, THANK_YOU_URL);
+        assert.equal(calls[0].booking.bookingId, 'action-1');
+        assert.equal(page.navigations, 0);
+    });
+    
+    test('reports errors it throws', async function() {
+        await book({
+            action: function() {
+                throw new Error('broken');
+            }
+        });
+        
+        const error = page.eventsNamed('error')[0].detail;
+        assert.equal(error.type, 'action');
+        assert.equal(error.error.message, 'broken');
+        assert.equal(page.handler.inspect().pendingRedirect, null);
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Conversion tracking: adapter calls and delivery before the redirect
+ */
+
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, waitUntil, delay, THANK_YOU_URL } = require('./helpers');
+
+let page = null;
+
+afterEach(function() {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+/**
+ * Stub the tracking libraries; calls are recorded in window.calls.
+ * deliver: whether gtag confirms delivery through event_callback
+ */
+function stubTrackers(deliver) {
+    return function(window) {
+        window.calls = [];
+        window.gtag = function() {
+            const args = Array.prototype.slice.call(arguments);
+            window.calls.push(['gtag'].concat(args));
+            if (deliver && args[2] && args[2].event_callback) {
+                setTimeout(function() {
+                    window.calls.push(['delivered']);
+                    args[2].event_callback();
+                }, 10);
+            }
+        };
+        window.fbq = function() {
+            window.calls.push(['fbq'].concat(Array.prototype.slice.call(arguments)));
+        };
+        window.dataLayer = [];
+    };
+}
+
+function callOrder() {
+    return page.window.calls.map(function(call) {
+        return call[0];
+    });
+}
+
+function callsTo(name) {
+    return page.window.calls.filter(function(call) {
+        return call[0] === name;
+    });
+}
+
+test('sends the conversion to GA4, Meta and GTM', async function() {
+    page = createPage({ before: stubTrackers(true) });
+    page.init({
+        analytics: {
+            ga4: { eventParams: { value: 1, currency: 'EUR', method: 'overridden' } },
+            gtm: { enabled: true }
+        }
+    });
+    
+    page.provider.book({ bookingId: 'ga-1', eventType: 'Consultation' });
+    await page.waitFor('redirect');
+    
+    const ga4 = callsTo('gtag');
+    assert.equal(ga4.length, 1);
+    assert.equal(ga4[0][1], 'event');
+    assert.equal(ga4[0][2], 'appointment_complete');
+    assert.equal(ga4[0][3].method, 'postMessage');
+    assert.equal(ga4[0][3].booking_id, 'ga-1');
+    assert.equal(ga4[0][3].event_type, 'Consultation');
+    assert.equal(ga4[0][3].redirect_url, THANK_YOU_URL);
+    assert.equal(ga4[0][3].value, 1);
+    
+    assert.deepEqual(callsTo('fbq')[0].slice(1, 3), ['track', 'Schedule']);
+    
+    assert.equal(page.window.dataLayer.length, 1);
+    assert.equal(page.window.dataLayer[0].event, 'appointment_complete');
+});
+
+test('tracks once per booking', async function() {
+    page = createPage({ before: stubTrackers(true) });
+    page.init();
+    
+    page.provider.book();
+    page.provider.book();
+    await page.waitFor('redirect');
+    
+    assert.equal(callsTo('gtag').length, 1);
+});
+
+test('does not track a cancelled redirect again when the booking is detected again', async function() {
+    page = createPage({ before: stubTrackers(true) });
+    page.init({ redirectDelay: 200 });
+    
+    page.provider.book({ bookingId: 'cancel-1' });
+    await page.waitFor('beforeRedirect');
+    page.handler.cancelRedirect();
+    
+    page.provider.book({ bookingId: 'cancel-1' });
+    await page.waitFor('redirect');
+    
+    assert.equal(page.eventsNamed('beforeRedirect').length, 2);
+    assert.equal(callsTo('gtag').length, 1);
+});
+
+test('waits for delivery before redirecting', async function() {
+    page = createPage({ before: stubTrackers(true) });
+    page.init({ analytics: { maxWait: 2000 } });
+    page.handler.on('redirect', function() {
+        page.window.calls.push(['redirect']);
+    });
+    
+    const start = Date.now();
+    page.provider.book();
+    await page.waitFor('redirect');
+    
+    const order = callOrder();
+    assert.ok(order.indexOf('delivered') !== -1);
+    assert.ok(order.indexOf('delivered') < order.indexOf('redirect'));
+    assert.ok(Date.now() - start < 1000);
+    assert.equal(page.window.localStorage.getItem('appointment_analytics_queue'), null);
+});
+
+test('queues undelivered events for the next page after maxWait', async function() {
+    page = createPage({ before: stubTrackers(false) });
+    page.init({ analytics: { maxWait: 50 } });
+    
+    page.provider.book({ bookingId: 'queued-1' });
+    await page.waitFor('redirect');
+    
+    const queue = JSON.parse(page.window.localStorage.getItem('appointment_analytics_queue'));
+    assert.equal(queue.length, 1);
+    assert.equal(queue[0].adapter, 'ga4');
+    assert.equal(queue[0].event.bookingId, 'queued-1');
+});
+
+test('sends queued events on the next page', async function() {
+    const queue = JSON.stringify([{
+        adapter: 'ga4',
+        event: { name: 'appointment_complete', method: 'postMessage', bookingId: 'queued-2', timestamp: Date.now() }
+    }]);
+    
+    page = createPage({ before: stubTrackers(true), storage: { appointment_analytics_queue: queue } });
+    page.init();
+    
+    await waitUntil(function() {
+        return callsTo('gtag').length === 1;
+    });
+    assert.equal(callsTo('gtag')[0][3].booking_id, 'queued-2');
+    assert.equal(callsTo('fbq').length, 0);
+    
+    await waitUntil(function() {
+        return page.window.localStorage.getItem('appointment_analytics_queue') === null;
+    });
+});
+
+test('keeps queued events until delivery is confirmed', async function() {
+    const queue = JSON.stringify([{
+        adapter: 'ga4',
+        event: { name: 'appointment_complete', method: 'postMessage', bookingId: 'queued-3', timestamp: Date.now() }
+    }]);
+    
+    page = createPage({ before: stubTrackers(false), storage: { appointment_analytics_queue: queue } });
+    page.init({ analytics: { maxWait: 50 } });
+    
+    await waitUntil(function() {
+        return callsTo('gtag').length === 1;
+    });
+    await delay(100);
+    
+    const stored = JSON.parse(page.window.localStorage.getItem('appointment_analytics_queue'));
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].event.bookingId, 'queued-3');
+    
+    page.handler.flushAnalyticsQueue();
+    assert.equal(callsTo('gtag').length, 1);
+});
+
+test('is skipped when analytics are disabled', async function() {
+    page = createPage({ before: stubTrackers(true) });
+    page.init({ analytics: { enabled: false } });
+    
+    page.provider.book();
+    await page.waitFor('redirect');
+    
+    assert.equal(page.window.calls.length, 0);
+});
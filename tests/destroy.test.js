@@ -0,0 +1,117 @@
+/**
+ * destroy(): everything init() started is stopped and removed, and an
+ * iframe that is done stops polling before that
+ */
+
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, delay } = require('./helpers');
+
+let page = null;
+
+afterEach(function() {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+test('stops detecting bookings', async function() {
+    page = createPage();
+    page.init();
+    await delay(10);
+    
+    assert.equal(page.handler.destroy(), true);
+    page.provider.book();
+    
+    await delay(50);
+    assert.equal(page.eventsNamed('signal').length, 0);
+    assert.equal(page.handler.inspect().initialized, false);
+});
+
+test('removes an open modal without clicking it', async function() {
+    page = createPage();
+    page.init({ action: 'modal' });
+    
+    page.provider.book();
+    await page.waitFor('redirect');
+    assert.ok(page.document.querySelector('.redirect-modal'));
+    
+    const clicks = [];
+    page.document.addEventListener('click', function(event) {
+        clicks.push(event.target);
+    });
+    
+    page.handler.destroy();
+    
+    assert.equal(page.document.querySelector('.redirect-modal'), null);
+    assert.equal(page.document.getElementById('redirect-handler-styles'), null);
+    assert.equal(clicks.length, 0);
+});
+
+test('drops a pending beforeRedirect hook', async function() {
+    const calls = [];
+    let reject = null;
+    
+    page = createPage();
+    page.init({
+        beforeRedirectTimeout: 30,
+        callbacks: {
+            beforeRedirect: function() {
+                return new Promise(function(resolve, fail) {
+                    reject = fail;
+                });
+            },
+            onRedirectFail: function() {
+                calls.push('onRedirectFail');
+            }
+        }
+    });
+    
+    page.provider.book();
+    await page.waitFor('beforeRedirect');
+    page.handler.destroy();
+    
+    await delay(60);
+    reject(new Error('too late'));
+    await delay(10);
+    
+    assert.equal(page.eventsNamed('error').length, 0);
+    assert.equal(page.eventsNamed('redirect').length, 0);
+    assert.equal(calls.length, 0);
+});
+
+function getRunningPollers() {
+    return page.handler.inspect().iframes[0].polling.pollers.filter(function(poller) {
+        return poller.running;
+    });
+}
+
+test('stops polling once a redirect is suppressed', async function() {
+    const completed = JSON.stringify({ timestamp: Date.now(), bookingId: 'old', iframe: 'booking-iframe' });
+    page = createPage({ storage: { appointment_completed: completed } });
+    page.init();
+    await delay(10);
+    assert.ok(getRunningPollers().length > 0);
+    
+    page.provider.book();
+    await delay(10);
+    
+    assert.equal(page.handler.inspect().iframes[0].polling.paused, true);
+    assert.equal(getRunningPollers().length, 0);
+});
+
+test('stops polling after a dry run', async function() {
+    page = createPage();
+    page.init({ debug: { dryRun: true } });
+    await delay(10);
+    assert.ok(getRunningPollers().length > 0);
+    
+    page.provider.book();
+    await delay(10);
+    
+    assert.ok(page.handler.inspect().iframes[0].dryRun);
+    assert.equal(getRunningPollers().length, 0);
+});
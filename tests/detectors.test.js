@@ -0,0 +1,246 @@
+/**
+ * Detection methods, each driven by the fake booking provider
+ */
+
+'use strict';
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, getHostHtml, delay, THANK_YOU_URL } = require('./helpers');
+
+// Run one detector at a time
+const ONLY = {
+    postMessage: false,
+    urlMonitoring: false,
+    mutationObserver: false,
+    navigationWatcher: false,
+    customEvents: false,
+    relayPage: false
+};
+
+function only(name) {
+    const methods = Object.assign({}, ONLY);
+    methods[name] = true;
+    return methods;
+}
+
+let page = null;
+
+afterEach(function() {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+describe('postMessage', function() {
+    test('redirects on bookingCreated from an allowed origin', async function() {
+        page = createPage();
+        page.init({ methods: only('postMessage') });
+        
+        page.provider.book({ bookingId: 'abc-1' });
+        
+        const redirect = await page.waitFor('redirect');
+        assert.equal(redirect.method, 'postMessage');
+        assert.equal(redirect.iframe, 'booking-iframe');
+        assert.equal(redirect.url, THANK_YOU_URL);
+        assert.equal(page.eventsNamed('success')[0].detail.data.bookingId, 'abc-1');
+    });
+    
+    test('ignores messages from other origins', async function() {
+        page = createPage();
+        page.init({ methods: only('postMessage') });
+        
+        page.provider.postMessage({ type: 'bookingCreated' }, 'https://evil.example');
+        page.provider.postMessage({ type: 'bookingCreated' }, 'https://go.appointmentcore.com.evil.example');
+        
+        await delay(50);
+        assert.equal(page.eventsNamed('signal').length, 0);
+        assert.equal(page.eventsNamed('redirect').length, 0);
+    });
+    
+    test('weak step names add up without redirecting', async function() {
+        page = createPage();
+        page.init({ methods: only('postMessage') });
+        
+        page.provider.step('confirm-details');
+        
+        await delay(50);
+        const signal = page.eventsNamed('signal')[0].detail;
+        assert.ok(signal.total > 0 && signal.total < signal.threshold);
+        assert.equal(page.eventsNamed('redirect').length, 0);
+    });
+    
+    test('bookingFailed counts against a booking', async function() {
+        page = createPage();
+        page.init({ methods: only('postMessage') });
+        
+        page.provider.postMessage({ type: 'bookingFailed', payload: { error: 'Slot taken' } });
+        
+        await delay(50);
+        assert.ok(page.eventsNamed('signal')[0].detail.confidence < 0);
+        assert.equal(page.eventsNamed('redirect').length, 0);
+    });
+});
+
+describe('urlMonitoring', function() {
+    test('redirects when the iframe returns to a same-origin success URL', async function() {
+        page = createPage({ provider: { url: 'https://studentmarketing.agency/booking/' } });
+        page.init({ methods: only('urlMonitoring') });
+        
+        await delay(50);
+        page.provider.url = 'https://studentmarketing.agency/booking/thank-you/?status=booked';
+        
+        const redirect = await page.waitFor('redirect');
+        assert.equal(redirect.method, 'urlMonitoring');
+    });
+    
+    test('cannot read cross-origin navigation', async function() {
+        page = createPage();
+        page.init({ methods: only('urlMonitoring') });
+        
+        page.provider.url = 'https://go.appointmentcore.com/book/Wtj5fVJM/thank-you';
+        
+        await delay(100);
+        assert.equal(page.eventsNamed('signal').length, 0);
+    });
+});
+
+describe('mutationObserver', function() {
+    test('redirects on success markup in the booking container', async function() {
+        page = createPage();
+        page.init({ methods: only('mutationObserver') });
+        
+        const message = page.document.createElement('div');
+        message.className = 'booking-confirmed';
+        page.document.querySelector('.iframe-container').appendChild(message);
+        
+        const redirect = await page.waitFor('redirect');
+        assert.equal(redirect.method, 'mutationObserver');
+    });
+    
+    test('only counts data attribute values that affirm a booking', async function() {
+        page = createPage();
+        page.init({
+            methods: only('mutationObserver'),
+            successIndicators: { dataAttributes: ['data-booking-status'] }
+        });
+        
+        const status = page.document.createElement('div');
+        status.setAttribute('data-booking-status', 'pending');
+        page.document.querySelector('.iframe-container').appendChild(status);
+        
+        await delay(50);
+        assert.equal(page.eventsNamed('signal').length, 0);
+        
+        status.setAttribute('data-booking-status', 'Confirmed');
+        
+        const redirect = await page.waitFor('redirect');
+        assert.equal(redirect.method, 'mutationObserver');
+    });
+    
+    test('redirects on message patterns in added text', async function() {
+        page = createPage();
+        page.init({ methods: only('mutationObserver') });
+        
+        const message = page.document.createElement('p');
+        message.textContent = 'Your booking confirmed for Monday';
+        page.document.querySelector('.iframe-container').appendChild(message);
+        
+        await page.waitFor('redirect');
+    });
+    
+    test('ignores text outside the container and in ignored elements', async function() {
+        page = createPage();
+        page.init({
+            methods: only('mutationObserver'),
+            mutationObserver: { ignoreSelectors: ['.chat-widget'] }
+        });
+        
+        page.document.getElementById('cookie-banner').textContent = 'Booking confirmed, thank you!';
+        
+        const chat = page.document.createElement('div');
+        chat.className = 'chat-widget';
+        chat.innerHTML = '<p class="booking-confirmed">Booking confirmed</p>';
+        page.document.querySelector('.iframe-container').appendChild(chat);
+        
+        await delay(50);
+        assert.equal(page.eventsNamed('signal').length, 0);
+    });
+});
+
+describe('navigationWatcher', function() {
+    test('scores the URL the iframe loads when readable', async function() {
+        page = createPage({
+            html: getHostHtml(' data-src="https://go.appointmentcore.com/book/Wtj5fVJM"', null)
+        });
+        page.init({
+            methods: only('navigationWatcher'),
+            fallback: { tryCallbackParam: true }
+        });
+        
+        page.provider.returnToHost();
+        
+        const redirect = await page.waitFor('redirect');
+        assert.equal(redirect.method, 'navigationWatcher');
+    });
+    
+    test('ignores loads of cross-origin pages', async function() {
+        page = createPage();
+        page.init({ methods: only('navigationWatcher') });
+        
+        page.provider.navigate('/book/Wtj5fVJM/success');
+        
+        await delay(50);
+        assert.equal(page.eventsNamed('signal').length, 0);
+    });
+});
+
+describe('customEvents', function() {
+    test('redirects on a configured custom event', async function() {
+        page = createPage();
+        page.init({ methods: only('customEvents') });
+        
+        page.window.dispatchEvent(new page.window.CustomEvent('appointmentBooked', {
+            detail: { iframe: 'booking-iframe' }
+        }));
+        
+        const redirect = await page.waitFor('redirect');
+        assert.equal(redirect.method, 'customEvents');
+    });
+});
+
+describe('relayPage', function() {
+    test('redirects and acknowledges a relay message with the tab token', async function() {
+        page = createPage();
+        page.init({ methods: only('relayPage') });
+        
+        page.provider.relay('https://studentmarketing.agency/booking-complete.html?booking_id=42', { booking_id: '42' });
+        
+        const redirect = await page.waitFor('redirect');
+        assert.equal(redirect.method, 'relayPage');
+        assert.equal(page.provider.received[0].data.type, 'redirect-handler:relay-ack');
+        assert.equal(page.provider.received[0].targetOrigin, 'https://studentmarketing.agency');
+    });
+    
+    test('rejects a wrong token', async function() {
+        page = createPage();
+        page.init({ methods: only('relayPage') });
+        
+        page.provider.relay('https://studentmarketing.agency/booking-complete.html', {}, 'guessed');
+        
+        await delay(50);
+        assert.equal(page.eventsNamed('redirect').length, 0);
+        assert.equal(page.provider.received.length, 0);
+    });
+    
+    test('rejects relay messages from other origins', async function() {
+        page = createPage();
+        page.init({ methods: only('relayPage') });
+        
+        page.provider.relay('https://go.appointmentcore.com/complete');
+        
+        await delay(50);
+        assert.equal(page.eventsNamed('redirect').length, 0);
+    });
+});
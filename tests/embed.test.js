@@ -0,0 +1,66 @@
+/**
+ * Declarative embed: data attributes and iframes loaded from data-src
+ */
+
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, getHostHtml } = require('./helpers');
+
+const BOOKING_URL = 'https://go.appointmentcore.com/book/Wtj5fVJM?d=Slots&e=1';
+
+let page = null;
+
+afterEach(function() {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+function openDataSrc(iframeAttributes) {
+    page = createPage({ html: getHostHtml(' data-src="' + BOOKING_URL + '"' + (iframeAttributes || ''), null) });
+    return page;
+}
+
+function getIframe() {
+    return page.document.getElementById('booking-iframe');
+}
+
+test('loads data-src with the return parameter', function() {
+    openDataSrc().init({ fallback: { tryCallbackParam: true } });
+    
+    const src = new URL(getIframe().src);
+    assert.equal(src.origin + src.pathname, 'https://go.appointmentcore.com/book/Wtj5fVJM');
+    assert.ok(src.searchParams.get('return_url'));
+});
+
+test('data attributes override the options', function() {
+    openDataSrc(' data-redirect-url="https://studentmarketing.agency/advisor/" data-redirect-delay="2500"').init();
+    
+    const config = page.handler.inspect().iframes[0].config;
+    assert.equal(config.redirectUrl, 'https://studentmarketing.agency/advisor/');
+    assert.equal(config.redirectDelay, 2500);
+});
+
+test('loads data-src as is when a data attribute is invalid', function() {
+    openDataSrc(' data-redirect-delay="abc"').init({ fallback: { tryCallbackParam: true } });
+    
+    assert.equal(page.handler.inspect().iframes.length, 0);
+    assert.equal(page.eventsNamed('error')[0].detail.type, 'config');
+    assert.equal(getIframe().getAttribute('src'), BOOKING_URL);
+});
+
+test('loads data-src as is when the options are invalid', async function() {
+    page = createPage({
+        html: getHostHtml(' data-src="' + BOOKING_URL + '"', null),
+        before: function(window) {
+            window.ADVANCED_CONFIG = { redirectDelay: 'soon' };
+        }
+    });
+    
+    await page.waitFor('error');
+    assert.equal(page.handler.inspect().initialized, false);
+    assert.equal(getIframe().getAttribute('src'), BOOKING_URL);
+});
@@ -0,0 +1,154 @@
+/**
+ * Fake Booking Provider for the test suite
+ *
+ * Plays the booking system inside the host page's iframe, without network
+ * access. jsdom neither navigates iframes nor enforces the same-origin
+ * policy, and sets no origin/source on postMessages, so the provider
+ * replaces the iframe's contentWindow and simulates what a browser shows
+ * the host page:
+ *   - postMessages arrive with the provider's origin and the iframe as source
+ *   - navigating fires the iframe's load event
+ *   - the iframe's location is only readable while it's on the host origin
+ *   - messages the host posts to the iframe are recorded in received
+ */
+
+'use strict';
+
+const PROVIDER_URL = 'https://go.appointmentcore.com/book/Wtj5fVJM?d=Slots&e=1';
+
+// Must match redirect-handler.js and booking-complete.js
+const RELAY_MESSAGE = 'redirect-handler:relay';
+const RELAY_TOKEN_KEY = 'redirect_handler_relay_token';
+
+class FakeProvider {
+    /**
+     * host is the jsdom window of the host page, iframe the booking iframe
+     * options.url - page the iframe starts on (default: its src or data-src)
+     */
+    constructor(host, iframe, options) {
+        const provider = this;
+        
+        options = options || {};
+        
+        this.host = host;
+        this.iframe = iframe;
+        this.url = options.url || iframe.getAttribute('src') || iframe.dataset.src || PROVIDER_URL;
+        this.received = [];
+        
+        this.window = {
+            get location() {
+                return provider.getLocation();
+            },
+            postMessage: function(data, targetOrigin) {
+                provider.received.push({ data: data, targetOrigin: targetOrigin });
+            },
+            parent: host,
+            top: host
+        };
+        
+        Object.defineProperty(iframe, 'contentWindow', {
+            configurable: true,
+            get: function() {
+                return provider.window;
+            }
+        });
+    }
+    
+    /**
+     * Restore the iframe's own contentWindow
+     */
+    detach() {
+        delete this.iframe.contentWindow;
+    }
+    
+    get origin() {
+        return new URL(this.url, this.host.location.href).origin;
+    }
+    
+    /**
+     * The iframe's location as seen by the host page (the initial
+     * about:blank shares its origin)
+     */
+    getLocation() {
+        if (this.url !== 'about:blank' && this.origin !== this.host.location.origin) {
+            throw new this.host.DOMException('Blocked a frame from accessing a cross-origin frame.', 'SecurityError');
+        }
+        
+        return { href: this.url };
+    }
+    
+    /**
+     * Load another page in the iframe (relative to the current one)
+     */
+    navigate(url) {
+        this.url = new URL(url, this.url).href;
+        this.iframe.dispatchEvent(new this.host.Event('load'));
+    }
+    
+    /**
+     * Post a message to the host page, from the provider's origin unless
+     * another one is given
+     */
+    postMessage(data, origin) {
+        const event = new this.host.MessageEvent('message', {
+            data: data,
+            origin: origin || this.origin
+        });
+        
+        Object.defineProperty(event, 'source', { value: this.window });
+        this.host.dispatchEvent(event);
+    }
+    
+    step(name) {
+        this.postMessage({ type: 'stepChange', step: name });
+    }
+    
+    /**
+     * Complete a booking the way the embed helper reports it
+     */
+    book(booking) {
+        this.step('details');
+        this.postMessage({
+            type: 'bookingCreated',
+            payload: Object.assign({
+                bookingId: 'test-123',
+                eventType: 'Consultation',
+                startTime: '2030-01-15T10:00:00Z',
+                endTime: '2030-01-15T10:30:00Z',
+                invitee: { name: 'Test Visitor', email: 'visitor@example.com' }
+            }, booking)
+        });
+    }
+    
+    /**
+     * Follow the return URL added to the iframe src (fallback.tryCallbackParam)
+     */
+    returnToHost(paramName) {
+        const returnUrl = new URL(this.iframe.getAttribute('src')).searchParams.get(paramName || 'return_url');
+        
+        if (!returnUrl) {
+            throw new Error('No return URL in the iframe src');
+        }
+        
+        this.navigate(returnUrl);
+    }
+    
+    /**
+     * Return to the relay page (booking-complete.html) and post its success
+     * message; the token is the one the host stored for this tab
+     */
+    relay(url, params, token) {
+        this.navigate(url);
+        this.postMessage({
+            type: RELAY_MESSAGE,
+            version: 1,
+            token: token === undefined ? this.host.sessionStorage.getItem(RELAY_TOKEN_KEY) : token,
+            url: this.url,
+            params: params || {}
+        });
+    }
+}
+
+FakeProvider.PROVIDER_URL = PROVIDER_URL;
+
+module.exports = FakeProvider;
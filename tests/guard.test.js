@@ -0,0 +1,124 @@
+/**
+ * Duplicate redirect guard: one redirect per booking, also across page loads
+ */
+
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, delay } = require('./helpers');
+
+const pages = [];
+
+function open(options) {
+    const page = createPage(options);
+    pages.push(page);
+    return page;
+}
+
+afterEach(function() {
+    pages.splice(0).forEach(function(page) {
+        page.close();
+    });
+});
+
+test('remembers the completed booking', async function() {
+    const page = open();
+    page.init();
+    
+    page.provider.book({ bookingId: 'guard-1' });
+    await page.waitFor('redirect');
+    
+    const record = JSON.parse(page.window.localStorage.getItem('appointment_completed'));
+    assert.equal(record.bookingId, 'guard-1');
+    assert.equal(record.iframe, 'booking-iframe');
+    assert.equal(typeof record.timestamp, 'number');
+});
+
+test('redirects once per booking on the same page', async function() {
+    const page = open();
+    page.init();
+    
+    page.provider.book();
+    page.provider.book();
+    await page.waitFor('redirect');
+    await delay(50);
+    
+    assert.equal(page.eventsNamed('redirect').length, 1);
+    assert.equal(page.navigations, 1);
+});
+
+test('suppresses detected redirects after returning to the page', async function() {
+    const first = open();
+    first.init();
+    first.provider.book();
+    await first.waitFor('redirect');
+    
+    const stored = first.window.localStorage.getItem('appointment_completed');
+    const page = open({ storage: { appointment_completed: stored } });
+    page.init();
+    
+    page.provider.book();
+    await delay(50);
+    assert.equal(page.eventsNamed('redirect').length, 0);
+    
+    // The visitor can still continue on purpose
+    page.handler.triggerManualRedirect();
+    const redirect = await page.waitFor('redirect');
+    assert.equal(redirect.method, 'manual');
+});
+
+test('does not report suppressed redirects as successes', async function() {
+    const completed = JSON.stringify({ timestamp: Date.now(), bookingId: 'old', iframe: 'booking-iframe' });
+    const page = open({ storage: { appointment_completed: completed } });
+    page.init();
+    
+    page.provider.book();
+    page.provider.step('confirmation');
+    page.provider.book();
+    await delay(50);
+    
+    assert.ok(page.eventsNamed('signal').length >= 2);
+    assert.equal(page.eventsNamed('success').length, 0);
+    assert.equal(page.eventsNamed('redirect').length, 0);
+});
+
+test('expires after storageDuration', async function() {
+    const stored = JSON.stringify({ timestamp: Date.now() - 7200000, bookingId: 'old', iframe: 'booking-iframe' });
+    const page = open({ storage: { appointment_completed: stored } });
+    page.init();
+    
+    page.provider.book();
+    await page.waitFor('redirect');
+    assert.notEqual(JSON.parse(page.window.localStorage.getItem('appointment_completed')).bookingId, 'old');
+});
+
+test('cancelling the redirect forgets the booking', async function() {
+    const page = open();
+    page.init({ redirectDelay: 5000 });
+    
+    page.provider.book();
+    await page.waitFor('beforeRedirect');
+    page.handler.cancelRedirect();
+    
+    assert.equal(page.window.localStorage.getItem('appointment_completed'), null);
+    assert.equal(page.eventsNamed('redirect').length, 0);
+});
+
+test('a beforeRedirect hook that never settles does not block the redirect', async function() {
+    const page = open();
+    page.init({
+        beforeRedirectTimeout: 50,
+        callbacks: {
+            beforeRedirect: function() {
+                return new Promise(function() {});
+            }
+        }
+    });
+    
+    page.provider.book();
+    await page.waitFor('redirect');
+    
+    assert.equal(page.eventsNamed('error')[0].detail.type, 'callback');
+    assert.equal(page.handler.inspect().pendingRedirect.status, 'navigating');
+});
@@ -0,0 +1,205 @@
+/**
+ * Test helpers: a host page with the redirect handler, loaded in jsdom
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const FakeProvider = require('./fake-provider');
+
+const ROOT = path.join(__dirname, '..');
+const HOST_URL = 'https://studentmarketing.agency/book/';
+const THANK_YOU_URL = 'https://studentmarketing.agency/thanks-appointment/';
+
+const LIFECYCLE_EVENTS = ['ready', 'signal', 'success', 'beforeRedirect', 'redirect', 'error'];
+
+// Fast defaults so that tests don't wait for the production delays
+const TEST_OPTIONS = {
+    redirectUrl: THANK_YOU_URL,
+    redirectDelay: 0,
+    retryDelay: 60000,
+    checkInterval: 20,
+    analytics: { maxWait: 100 }
+};
+
+/**
+ * Host page markup with one booking iframe
+ *   iframeAttributes - extra attributes, e.g. ' data-provider="calendly"'
+ *   src              - iframe src (default: the fake AppointmentCore page,
+ *                      null: none, e.g. with data-src)
+ */
+function getHostHtml(iframeAttributes, src) {
+    const srcAttribute = src === null ? '' : ' src="' + (src || FakeProvider.PROVIDER_URL) + '"';
+    
+    return '<!DOCTYPE html><html lang="en"><body>' +
+        '<div id="cookie-banner">Thank you for accepting cookies</div>' +
+        '<div class="iframe-container">' +
+        '<iframe id="booking-iframe"' + srcAttribute + (iframeAttributes || '') + '></iframe>' +
+        '</div>' +
+        '<div class="loading-overlay" id="loadingOverlay"><div class="loading-content"></div></div>' +
+        '</body></html>';
+}
+
+/**
+ * Load a host page with redirect-handler.js
+ *   options.html     - page markup (default: one booking iframe)
+ *   options.url      - page URL (default: HOST_URL)
+ *   options.storage  - localStorage entries to set before loading
+ *   options.before   - function(window) run before the handler loads,
+ *                      e.g. to stub analytics libraries
+ *   options.provider - FakeProvider options
+ *   options.framed   - load the page in an iframe of a page at options.url,
+ *                      which is then window.top (the framed page itself is
+ *                      about:blank)
+ * Returns the page; call page.init(options) to initialize the handler
+ * with TEST_OPTIONS and page.close() when done.
+ */
+function createPage(options) {
+    options = options || {};
+    
+    const page = {
+        events: [], // Lifecycle events: { name, detail }
+        logs: [], // Console output: [method, ...args]
+        navigations: 0 // Attempts to navigate the host page
+    };
+    
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', function(error) {
+        // jsdom can't navigate; the handler's attempts are counted instead
+        if (/navigation/.test(error.message)) {
+            page.navigations++;
+        } else {
+            page.logs.push(['jsdomError', error.message]);
+        }
+    });
+    ['log', 'info', 'warn', 'error'].forEach(function(method) {
+        virtualConsole.on(method, function() {
+            page.logs.push([method].concat(Array.prototype.slice.call(arguments)));
+        });
+    });
+    
+    const dom = new JSDOM(options.framed ? '<!DOCTYPE html><iframe></iframe>' : options.html || getHostHtml(), {
+        url: options.url || HOST_URL,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    });
+    const window = options.framed ? dom.window.document.querySelector('iframe').contentWindow : dom.window;
+    
+    if (options.framed) {
+        window.document.open();
+        window.document.write(options.html || getHostHtml());
+        window.document.close();
+    }
+    
+    Object.keys(options.storage || {}).forEach(function(key) {
+        window.localStorage.setItem(key, options.storage[key]);
+    });
+    
+    LIFECYCLE_EVENTS.forEach(function(name) {
+        window.addEventListener('redirecthandler:' + name, function(event) {
+            page.events.push({ name: name, detail: event.detail });
+        });
+    });
+    
+    const iframe = window.document.getElementById('booking-iframe');
+    if (iframe) {
+        page.provider = new FakeProvider(window, iframe, options.provider);
+    }
+    
+    if (options.before) {
+        options.before(window);
+    }
+    
+    window.eval(fs.readFileSync(path.join(ROOT, 'redirect-handler.js'), 'utf8'));
+    
+    page.window = window;
+    page.document = window.document;
+    page.handler = window.RedirectHandler;
+    
+    page.init = function(config) {
+        return page.handler.init(merge(merge({}, TEST_OPTIONS), config || {}));
+    };
+    
+    /**
+     * Lifecycle events of one kind received so far
+     */
+    page.eventsNamed = function(name) {
+        return page.events.filter(function(event) {
+            return event.name === name;
+        });
+    };
+    
+    /**
+     * Resolve with the detail of the first event of a kind, waiting up to
+     * timeout ms for it
+     */
+    page.waitFor = function(name, timeout) {
+        return waitUntil(function() {
+            const event = page.eventsNamed(name)[0];
+            return event && event.detail;
+        }, timeout, 'Timed out waiting for ' + name);
+    };
+    
+    page.close = function() {
+        page.handler.destroy();
+        if (page.provider) {
+            page.provider.detach();
+        }
+        dom.window.close();
+    };
+    
+    return page;
+}
+
+/**
+ * Poll condition until it returns a truthy value
+ */
+function waitUntil(condition, timeout, message) {
+    const deadline = Date.now() + (timeout || 1000);
+    
+    return new Promise(function(resolve, reject) {
+        (function check() {
+            const result = condition();
+            
+            if (result) {
+                resolve(result);
+            } else if (Date.now() > deadline) {
+                reject(new Error(message || 'Timed out'));
+            } else {
+                setTimeout(check, 10);
+            }
+        })();
+    });
+}
+
+function delay(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+function merge(target, source) {
+    Object.keys(source).forEach(function(key) {
+        const value = source[key];
+        
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            target[key] = merge(target[key] && typeof target[key] === 'object' ? target[key] : {}, value);
+        } else {
+            target[key] = value;
+        }
+    });
+    
+    return target;
+}
+
+module.exports = {
+    HOST_URL: HOST_URL,
+    THANK_YOU_URL: THANK_YOU_URL,
+    createPage: createPage,
+    getHostHtml: getHostHtml,
+    waitUntil: waitUntil,
+    delay: delay
+};
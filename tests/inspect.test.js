@@ -0,0 +1,137 @@
+/**
+ * inspect() snapshots, the debug.dryRun mode and debug logging
+ */
+
+'use strict';
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, delay, HOST_URL, THANK_YOU_URL } = require('./helpers');
+
+let page = null;
+
+afterEach(function() {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+describe('inspect', function() {
+    test('reports the effective configuration and detectors per iframe', function() {
+        page = createPage();
+        page.init({ iframes: [{ selector: '#booking-iframe', redirectUrl: 'https://studentmarketing.agency/advisor/' }] });
+        
+        const state = page.handler.inspect();
+        const iframe = state.iframes[0];
+        
+        assert.equal(state.initialized, true);
+        assert.equal(state.config.redirectUrl, THANK_YOU_URL);
+        assert.equal(iframe.id, 'booking-iframe');
+        assert.equal(iframe.config.redirectUrl, 'https://studentmarketing.agency/advisor/');
+        assert.equal(iframe.detectors.postMessage, 'running');
+        assert.equal(iframe.detectors.urlMonitoring, 'polling');
+        assert.equal(iframe.redirectAttempts, 0);
+        assert.equal(state.pendingRedirect, null);
+    });
+    
+    test('is a frozen copy', function() {
+        page = createPage();
+        page.init();
+        
+        const state = page.handler.inspect();
+        
+        assert.throws(function() {
+            state.config.redirectUrl = 'https://evil.example/';
+        }, TypeError);
+        assert.throws(function() {
+            state.iframes[0].config.methods.postMessage = false;
+        }, TypeError);
+        assert.equal(page.handler.inspect().iframes[0].config.redirectUrl, THANK_YOU_URL);
+    });
+    
+    test('shows the signals received and the pending redirect', async function() {
+        page = createPage();
+        page.init({ redirectDelay: 5000 });
+        
+        page.provider.step('confirm-details');
+        page.provider.book({ bookingId: 'inspect-1' });
+        await page.waitFor('beforeRedirect');
+        
+        const state = page.handler.inspect();
+        const signals = state.iframes[0].signals;
+        
+        assert.equal(signals.length, 2);
+        assert.equal(signals[1].method, 'postMessage');
+        assert.equal(signals[1].data.bookingId, 'inspect-1');
+        assert.equal(state.pendingRedirect.status, 'countdown');
+        assert.equal(state.pendingRedirect.destination, THANK_YOU_URL);
+        assert.ok(state.pendingRedirect.remaining > 4000 && state.pendingRedirect.remaining <= 5000);
+        assert.equal(state.completedBooking.bookingId, 'inspect-1');
+        
+        page.handler.cancelRedirect();
+        assert.equal(page.handler.inspect().pendingRedirect, null);
+    });
+    
+    test('works before init', function() {
+        page = createPage();
+        
+        const state = page.handler.inspect();
+        assert.equal(state.initialized, false);
+        assert.equal(state.config, null);
+        assert.equal(state.iframes.length, 0);
+    });
+});
+
+describe('dry run', function() {
+    test('logs the destination without storing, tracking or navigating', async function() {
+        page = createPage();
+        page.init({ debug: { dryRun: true } });
+        
+        page.provider.book();
+        await delay(50);
+        
+        assert.equal(page.eventsNamed('signal').length, 1);
+        assert.equal(page.eventsNamed('success').length, 0);
+        assert.equal(page.eventsNamed('beforeRedirect').length, 0);
+        assert.equal(page.eventsNamed('redirect').length, 0);
+        assert.equal(page.navigations, 0);
+        assert.equal(page.window.localStorage.getItem('appointment_completed'), null);
+        assert.ok(page.logs.some(function(entry) {
+            return entry[0] === 'warn' && entry.indexOf(THANK_YOU_URL) !== -1;
+        }));
+        
+        const iframe = page.handler.inspect().iframes[0];
+        assert.equal(iframe.dryRun.method, 'postMessage');
+        assert.equal(iframe.dryRun.destination, THANK_YOU_URL);
+    });
+    
+    test('is turned on by ?redirect_debug=dryrun', function() {
+        page = createPage({ url: HOST_URL + '?redirect_debug=dryrun' });
+        page.init();
+        
+        page.handler.triggerManualRedirect();
+        
+        assert.equal(page.handler.inspect().config.debug.dryRun, true);
+        assert.equal(page.handler.inspect().iframes[0].dryRun.method, 'manual');
+        assert.equal(page.handler.inspect().pendingRedirect, null);
+    });
+});
+
+describe('logging', function() {
+    test('redacts invitee details', async function() {
+        page = createPage();
+        page.init({ debug: { level: 'verbose' } });
+        
+        page.provider.book({ invitee: { name: 'Test Visitor', email: 'visitor@example.com' } });
+        await page.waitFor('redirect');
+        
+        const output = JSON.stringify(page.logs);
+        assert.ok(output.indexOf('[redacted]') !== -1);
+        assert.equal(output.indexOf('visitor@example.com'), -1);
+        assert.equal(output.indexOf('Test Visitor'), -1);
+        
+        // Callbacks and events still get the details
+        assert.equal(page.eventsNamed('success')[0].detail.data.invitee.email, 'visitor@example.com');
+    });
+});
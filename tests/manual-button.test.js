@@ -0,0 +1,89 @@
+/**
+ * fallback.showManualButton: the "I've finished booking" button
+ */
+
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, delay } = require('./helpers');
+
+let page = null;
+
+afterEach(function() {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+function open(fallback) {
+    page = createPage({
+        before: function(window) {
+            window.calls = [];
+            window.gtag = function() {
+                window.calls.push(Array.prototype.slice.call(arguments));
+            };
+        }
+    });
+    page.init({ fallback: Object.assign({ showManualButton: true, manualButtonDelay: 20 }, fallback) });
+    return page;
+}
+
+function getButton() {
+    return page.document.querySelector('.redirect-manual-button');
+}
+
+test('is off by default', async function() {
+    page = createPage();
+    page.init({ fallback: { manualButtonDelay: 0 } });
+    
+    await delay(30);
+    assert.equal(getButton(), null);
+});
+
+test('appears after manualButtonDelay, right after the iframe', async function() {
+    open();
+    assert.equal(getButton(), null);
+    
+    await delay(50);
+    
+    const wrapper = page.document.getElementById('booking-iframe').nextElementSibling;
+    assert.equal(wrapper.className, 'redirect-manual');
+    assert.equal(wrapper.getAttribute('role'), 'status');
+    assert.equal(getButton().type, 'button');
+    assert.equal(getButton().textContent, 'I\'ve finished booking — continue');
+    assert.equal(page.handler.inspect().iframes[0].manualButton.shown, true);
+});
+
+test('appears sooner once the visitor uses the iframe', async function() {
+    open({ manualButtonDelay: 60000, manualButtonAfterInteraction: 0 });
+    
+    page.document.getElementById('booking-iframe').focus();
+    page.window.dispatchEvent(new page.window.Event('blur'));
+    
+    await delay(30);
+    assert.ok(getButton());
+    assert.equal(page.handler.inspect().iframes[0].manualButton.interacted, true);
+});
+
+test('redirects as a manual redirect, also in analytics', async function() {
+    open({ manualButtonDelay: 0 });
+    await delay(10);
+    
+    getButton().click();
+    
+    const redirect = await page.waitFor('redirect');
+    assert.equal(redirect.method, 'manual');
+    assert.equal(page.window.calls[0][1], 'appointment_complete');
+    assert.equal(page.window.calls[0][2].method, 'manual');
+});
+
+test('is removed by destroy()', async function() {
+    open({ manualButtonDelay: 0 });
+    await delay(10);
+    assert.ok(getButton());
+    
+    page.handler.destroy();
+    assert.equal(page.document.querySelector('.redirect-manual'), null);
+});
@@ -0,0 +1,95 @@
+/**
+ * Loading overlay: countdown, "Redirect now" and "Stay on this page"
+ */
+
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, delay } = require('./helpers');
+
+let page = null;
+
+afterEach(function() {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+async function showOverlay(options) {
+    page = createPage();
+    page.init(Object.assign({ redirectDelay: 5000 }, options));
+    
+    page.provider.book();
+    await page.waitFor('beforeRedirect');
+    
+    return page.document.getElementById('loadingOverlay');
+}
+
+function getButton(overlay, text) {
+    return Array.prototype.find.call(overlay.querySelectorAll('button'), function(button) {
+        return button.textContent === text;
+    });
+}
+
+test('counts down to the redirect', async function() {
+    const overlay = await showOverlay();
+    
+    assert.ok(overlay.classList.contains('active'));
+    assert.equal(overlay.getAttribute('role'), 'dialog');
+    assert.equal(overlay.querySelector('.redirect-overlay-countdown').textContent, 'Redirecting you in 5 s...');
+    assert.equal(page.document.activeElement, getButton(overlay, 'Redirect now'));
+});
+
+test('"Redirect now" skips the countdown', async function() {
+    const overlay = await showOverlay();
+    
+    getButton(overlay, 'Redirect now').click();
+    
+    await page.waitFor('redirect');
+    assert.equal(page.eventsNamed('redirect').length, 1);
+});
+
+test('"Stay on this page" cancels the redirect and resets the iframe', async function() {
+    const overlay = await showOverlay();
+    
+    getButton(overlay, 'Stay on this page').click();
+    
+    assert.equal(overlay.classList.contains('active'), false);
+    assert.equal(overlay.querySelector('.redirect-overlay-content').textContent, '');
+    assert.equal(page.handler.inspect().pendingRedirect, null);
+    assert.equal(page.handler.inspect().iframes[0].signals.length, 0);
+    assert.equal(page.window.localStorage.getItem('appointment_completed'), null);
+    
+    await delay(50);
+    assert.equal(page.eventsNamed('redirect').length, 0);
+    
+    // A later booking redirects again
+    page.provider.book();
+    await page.waitFor('beforeRedirect');
+    assert.equal(page.eventsNamed('beforeRedirect').length, 2);
+});
+
+test('Escape stays on the page', async function() {
+    const overlay = await showOverlay();
+    
+    page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+    
+    assert.equal(overlay.classList.contains('active'), false);
+    assert.equal(page.handler.inspect().pendingRedirect, null);
+});
+
+test('uses the overlay locale and text overrides', async function() {
+    const overlay = await showOverlay({ overlay: { locale: 'de-AT', text: { stay: 'Hier bleiben' } } });
+    
+    assert.equal(overlay.querySelector('.redirect-overlay-countdown').textContent, 'Sie werden in 5 s weitergeleitet...');
+    assert.ok(getButton(overlay, 'Jetzt weiter'));
+    assert.ok(getButton(overlay, 'Hier bleiben'));
+});
+
+test('shows no countdown with showCountdown off', async function() {
+    const overlay = await showOverlay({ showCountdown: false });
+    
+    assert.equal(overlay.querySelector('.redirect-overlay-countdown').textContent, 'Redirecting you now...');
+});
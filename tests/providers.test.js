@@ -0,0 +1,208 @@
+/**
+ * Booking provider profiles, selected from the iframe src
+ */
+
+'use strict';
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, getHostHtml, delay } = require('./helpers');
+
+const CALENDLY_URL = 'https://calendly.com/acme/intro';
+
+let page = null;
+
+afterEach(function() {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+function openProvider(src, iframeAttributes) {
+    page = createPage({ html: getHostHtml(iframeAttributes, src) });
+    return page;
+}
+
+describe('profile selection', function() {
+    test('AppointmentCore is a built-in profile', function() {
+        page = createPage();
+        page.init();
+        
+        const iframe = page.handler.inspect().iframes[0];
+        assert.equal(iframe.config.provider, 'appointmentcore');
+        assert.ok(iframe.config.allowedOrigins.indexOf('https://go.appointmentcore.com') !== -1);
+    });
+    
+    test('accepts messages only from the selected provider', async function() {
+        openProvider(CALENDLY_URL).init();
+        
+        page.provider.postMessage({ type: 'bookingCreated' }, 'https://go.appointmentcore.com');
+        
+        await delay(50);
+        assert.equal(page.handler.inspect().iframes[0].config.provider, 'calendly');
+        assert.equal(page.eventsNamed('signal').length, 0);
+    });
+    
+    test('data-provider overrides the detection', function() {
+        openProvider('https://booking.example/acme', ' data-provider="calendly"').init();
+        
+        const iframe = page.handler.inspect().iframes[0];
+        assert.equal(iframe.config.provider, 'calendly');
+        // The src isn't Calendly's, so it's left alone
+        assert.equal(page.document.getElementById('booking-iframe').src, 'https://booking.example/acme');
+    });
+    
+    test('picks the profile once an iframe without src gets one', async function() {
+        openProvider(null).init();
+        assert.equal(page.handler.inspect().iframes[0].config.provider, null);
+        
+        page.document.getElementById('booking-iframe').setAttribute('src', 'https://go.appointmentcore.com/book/Wtj5fVJM');
+        await delay(0);
+        page.provider.book({ bookingId: 'late-src' });
+        
+        const redirect = await page.waitFor('redirect');
+        assert.equal(redirect.method, 'postMessage');
+        assert.equal(page.handler.inspect().iframes[0].config.provider, 'appointmentcore');
+    });
+    
+    test('adds the late profile\'s parameters to the new src', async function() {
+        page = createPage({ html: getHostHtml('', null), provider: { url: 'about:blank' } });
+        page.init();
+        
+        const iframe = page.document.getElementById('booking-iframe');
+        iframe.setAttribute('src', CALENDLY_URL);
+        await delay(0);
+        
+        const src = new URL(iframe.src);
+        assert.equal(page.handler.inspect().iframes[0].config.provider, 'calendly');
+        assert.equal(src.searchParams.get('embed_domain'), 'studentmarketing.agency');
+    });
+    
+    test('rejects unknown provider names', function() {
+        page = createPage();
+        assert.equal(page.init({ provider: 'nope' }), false);
+        assert.match(page.eventsNamed('error')[0].detail.message, /provider must be/);
+    });
+    
+    test('registerProvider adds a profile', async function() {
+        page = createPage({ html: getHostHtml('', 'https://book.example/acme') });
+        page.handler.registerProvider('example', {
+            origins: ['https://book.example'],
+            parseMessage: function(data, createMessage) {
+                return data.done === true ? createMessage('bookingCreated', 'done', data) : null;
+            }
+        });
+        page.init();
+        
+        page.provider.postMessage({ done: true, id: 'ex-1' });
+        
+        const redirect = await page.waitFor('redirect');
+        assert.equal(redirect.method, 'postMessage');
+        assert.equal(page.eventsNamed('success')[0].detail.data.bookingId, 'ex-1');
+    });
+});
+
+describe('calendly', function() {
+    test('adds the embed parameters to the iframe data-src', function() {
+        openProvider(null, ' data-src="' + CALENDLY_URL + '"').init();
+        
+        const src = new URL(page.document.getElementById('booking-iframe').src);
+        assert.equal(src.searchParams.get('embed_domain'), 'studentmarketing.agency');
+        assert.equal(src.searchParams.get('embed_type'), 'Inline');
+    });
+    
+    test('leaves a src that has loaded already', function() {
+        openProvider(CALENDLY_URL).init({ debug: { level: 'info' } });
+        
+        assert.equal(page.document.getElementById('booking-iframe').src, CALENDLY_URL);
+        assert.ok(page.logs.some(function(entry) {
+            return entry[0] === 'log' && entry.join(' ').indexOf('data-src') !== -1;
+        }));
+    });
+    
+    test('keeps quiet about a loaded src at the default log level', function() {
+        openProvider(CALENDLY_URL).init();
+        
+        assert.equal(page.logs.filter(function(entry) {
+            return entry.join(' ').indexOf('data-src') !== -1;
+        }).length, 0);
+    });
+    
+    test('redirects on calendly.event_scheduled', async function() {
+        openProvider(CALENDLY_URL).init();
+        
+        page.provider.postMessage({ event: 'calendly.date_and_time_selected', payload: {} });
+        page.provider.postMessage({
+            event: 'calendly.event_scheduled',
+            payload: {
+                event: { uri: 'https://api.calendly.com/scheduled_events/EV-123' },
+                invitee: { uri: 'https://api.calendly.com/scheduled_events/EV-123/invitees/IN-456' }
+            }
+        });
+        
+        const redirect = await page.waitFor('redirect');
+        assert.equal(redirect.method, 'postMessage');
+        assert.equal(page.eventsNamed('success')[0].detail.data.bookingId, 'https://api.calendly.com/scheduled_events/EV-123');
+    });
+});
+
+describe('calcom', function() {
+    test('redirects on bookingSuccessfulV2', async function() {
+        openProvider(null, ' data-src="https://cal.com/acme/30min"').init();
+        
+        assert.equal(new URL(page.document.getElementById('booking-iframe').src).searchParams.get('embed'), '');
+        
+        page.provider.postMessage({ originator: 'CAL', method: '__dimensionChanged', data: { iframeHeight: 700 } });
+        page.provider.postMessage({
+            originator: 'CAL',
+            method: 'bookingSuccessfulV2',
+            data: { uid: 'cal-1', title: '30 Min Meeting', startTime: '2030-01-15T10:00:00Z', endTime: '2030-01-15T10:30:00Z' }
+        });
+        
+        await page.waitFor('redirect');
+        const booking = page.eventsNamed('success')[0].detail.data;
+        assert.equal(booking.bookingId, 'cal-1');
+        assert.equal(booking.eventType, '30 Min Meeting');
+        assert.equal(booking.duration, 30);
+    });
+});
+
+describe('hubspot', function() {
+    test('redirects on meetingBookSucceeded', async function() {
+        openProvider('https://meetings-eu1.hubspot.com/acme').init();
+        
+        page.provider.postMessage({
+            meetingBookSucceeded: true,
+            meetingsPayload: {
+                bookingResponse: {
+                    event: { dateTime: 1894701600000, duration: 1800000 },
+                    postResponse: {
+                        timerange: { start: 1894701600000, end: 1894703400000 },
+                        contact: { firstName: 'Test', lastName: 'Visitor', email: 'visitor@example.com' }
+                    }
+                }
+            }
+        });
+        
+        await page.waitFor('redirect');
+        const booking = page.eventsNamed('success')[0].detail.data;
+        assert.equal(booking.slotTime, '2030-01-15T10:00:00.000Z');
+        assert.equal(booking.duration, 30);
+        assert.equal(booking.invitee.name, 'Test Visitor');
+    });
+});
+
+describe('acuity', function() {
+    test('selects custom domains and ignores sizing messages', async function() {
+        openProvider('https://acme.as.me/schedule.php').init();
+        
+        page.provider.postMessage('sizing:900');
+        
+        await delay(50);
+        const iframe = page.handler.inspect().iframes[0];
+        assert.equal(iframe.config.provider, 'acuity');
+        assert.ok(iframe.config.allowedOrigins.indexOf('https://acme.as.me') !== -1);
+        assert.equal(page.eventsNamed('signal').length, 0);
+    });
+});
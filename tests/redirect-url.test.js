@@ -0,0 +1,164 @@
+/**
+ * Redirect destinations: redirectUrl placeholders, carried-over params and
+ * routes
+ */
+
+'use strict';
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, HOST_URL } = require('./helpers');
+
+let page = null;
+
+afterEach(function() {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+async function redirectAfterBooking(options, booking, url) {
+    page = createPage({ url: url });
+    page.init(options);
+    
+    page.provider.book(booking);
+    return new URL((await page.waitFor('redirect')).url);
+}
+
+describe('templates', function() {
+    test('fills placeholders from the booking and the detection method', async function() {
+        const url = await redirectAfterBooking({
+            redirectUrl: 'https://studentmarketing.agency/thanks/?booking={bookingId}&type={eventType}&via={method}'
+        }, { bookingId: 'b-42' });
+        
+        assert.equal(url.searchParams.get('booking'), 'b-42');
+        assert.equal(url.searchParams.get('type'), 'Consultation');
+        assert.equal(url.searchParams.get('via'), 'postMessage');
+    });
+    
+    test('encodes values', async function() {
+        const url = await redirectAfterBooking({
+            redirectUrl: 'https://studentmarketing.agency/thanks/{eventType}?booking={bookingId}'
+        }, { bookingId: 'a&b=c #1', eventType: '../admin' });
+        
+        assert.equal(url.pathname, '/thanks/..%2Fadmin');
+        assert.equal(url.searchParams.get('booking'), 'a&b=c #1');
+        assert.equal(url.searchParams.has('b'), false);
+    });
+    
+    test('fills unknown and nested placeholders', async function() {
+        const url = await redirectAfterBooking({
+            redirectUrl: 'https://studentmarketing.agency/thanks/?name={invitee.name}&missing={nope}'
+        }, {});
+        
+        assert.equal(url.searchParams.get('name'), 'Test Visitor');
+        assert.equal(url.searchParams.get('missing'), '');
+    });
+    
+    test('takes placeholders from host page params, never over booking values', async function() {
+        const url = await redirectAfterBooking({
+            redirectUrl: 'https://studentmarketing.agency/thanks/?utm={utm_source}&booking={bookingId}'
+        }, { bookingId: 'real' }, HOST_URL + '?utm_source=newsletter&bookingId=forged');
+        
+        assert.equal(url.searchParams.get('utm'), 'newsletter');
+        assert.equal(url.searchParams.get('booking'), 'real');
+    });
+    
+    test('carries over host page params and adds the source param', async function() {
+        const url = await redirectAfterBooking({
+            redirectUrl: 'https://studentmarketing.agency/thanks/?utm_campaign=kept',
+            carryOverParams: ['utm_source', 'utm_campaign', 'gclid'],
+            appendSourceParam: true
+        }, {}, HOST_URL + '?utm_source=ads&utm_campaign=spring');
+        
+        assert.equal(url.searchParams.get('utm_source'), 'ads');
+        assert.equal(url.searchParams.get('utm_campaign'), 'kept');
+        assert.equal(url.searchParams.has('gclid'), false);
+        assert.equal(url.searchParams.get('source'), 'appointment_booking');
+    });
+});
+
+describe('routes', function() {
+    async function route(booking) {
+        page = createPage();
+        page.init({
+            routes: [
+                // A RegExp from the page's realm, as on a real page
+                { match: { eventType: new page.window.RegExp('strategy', 'i') }, redirectUrl: 'https://studentmarketing.agency/thanks-strategy/' },
+                { match: { answers: { 'Budget': ['high', 'enterprise'] } }, redirectUrl: 'https://studentmarketing.agency/thanks-vip/' },
+                { match: { duration: { min: 60 } }, redirectUrl: 'https://studentmarketing.agency/thanks-long/?id={bookingId}' },
+                { match: { eventType: 'Consultation' }, redirectUrl: 'https://studentmarketing.agency/thanks-consultation/' }
+            ]
+        });
+        
+        page.provider.book(booking);
+        return new URL((await page.waitFor('redirect')).url);
+    }
+    
+    test('match on the event type', async function() {
+        assert.equal((await route({ eventType: 'Strategy Call' })).pathname, '/thanks-strategy/');
+    });
+    
+    test('match on answers, case-insensitively by question', async function() {
+        const url = await route({ eventType: 'Intro', answers: [{ question: 'budget', answer: 'Enterprise' }] });
+        assert.equal(url.pathname, '/thanks-vip/');
+    });
+    
+    test('match on a duration range and fill the route\'s placeholders', async function() {
+        const url = await route({ eventType: 'Intro', bookingId: 'long-1', duration: 90 });
+        assert.equal(url.pathname, '/thanks-long/');
+        assert.equal(url.searchParams.get('id'), 'long-1');
+    });
+    
+    test('the first matching route wins', async function() {
+        const url = await route({ eventType: 'Strategy Consultation', duration: 90 });
+        assert.equal(url.pathname, '/thanks-strategy/');
+    });
+    
+    test('fall back to redirectUrl', async function() {
+        assert.equal((await route({ eventType: 'Intro' })).pathname, '/thanks-appointment/');
+    });
+    
+    test('match functions get the route data', async function() {
+        const seen = [];
+        const url = await redirectAfterBooking({
+            routes: [{
+                match: function(data) {
+                    seen.push(data);
+                    return data.method === 'postMessage' && data.bookingId === 'fn-1';
+                },
+                redirectUrl: 'https://studentmarketing.agency/thanks-fn/'
+            }]
+        }, { bookingId: 'fn-1' });
+        
+        assert.equal(url.pathname, '/thanks-fn/');
+        assert.equal(seen[0].iframeId, 'booking-iframe');
+        assert.equal(seen[0].eventType, 'Consultation');
+    });
+    
+    test('a failing match function is skipped', async function() {
+        const url = await redirectAfterBooking({
+            routes: [
+                { match: function() { throw new Error('broken'); }, redirectUrl: 'https://studentmarketing.agency/broken/' },
+                { match: { method: 'postMessage' }, redirectUrl: 'https://studentmarketing.agency/thanks-next/' }
+            ]
+        }, {});
+        
+        assert.equal(url.pathname, '/thanks-next/');
+    });
+    
+    test('match on the iframe\'s URL path', async function() {
+        page = createPage();
+        page.init({
+            methods: { postMessage: false },
+            scoring: { threshold: 0.1 }, // A URL keyword alone stays below the default
+            routes: [{ match: { urlPath: new page.window.RegExp('^/booking/confirmed/') }, redirectUrl: 'https://studentmarketing.agency/thanks-path/' }]
+        });
+        
+        page.provider.navigate('https://studentmarketing.agency/booking/confirmed/premium');
+        
+        const url = new URL((await page.waitFor('redirect')).url);
+        assert.equal(url.pathname, '/thanks-path/');
+    });
+});
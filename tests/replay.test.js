@@ -0,0 +1,134 @@
+/**
+ * Recording and replay, and the regression library in tests/recordings/
+ *
+ * Each recording there has an "expected" entry: { trigger: method or null }.
+ * To add one, record the session (?redirect_debug=record, then
+ * downloadRecording() from testing-tools.js) and add "expected".
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, delay } = require('./helpers');
+
+const RECORDINGS = path.join(__dirname, 'recordings');
+
+let page = null;
+
+afterEach(function() {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+describe('recording', function() {
+    test('captures messages, custom events, mutations and the redirect', async function() {
+        page = createPage();
+        page.init({ debug: { record: true } });
+        
+        page.provider.step('details');
+        page.window.dispatchEvent(new page.window.CustomEvent('formSubmitted', {
+            detail: { iframe: 'booking-iframe' }
+        }));
+        page.document.querySelector('.iframe-container').appendChild(page.document.createElement('p'));
+        await page.waitFor('redirect');
+        await delay(20);
+        
+        const types = page.handler.stopRecording().entries.map(function(entry) {
+            return entry.type;
+        });
+        ['message', 'customEvent', 'signal', 'redirect', 'mutation'].forEach(function(type) {
+            assert.ok(types.indexOf(type) !== -1, 'recorded ' + type);
+        });
+    });
+    
+    test('redacts invitee details and relay tokens', async function() {
+        page = createPage();
+        page.init({ debug: { record: true } });
+        
+        page.provider.book({ invitee: { name: 'Test Visitor', email: 'visitor@example.com' } });
+        page.provider.relay('https://studentmarketing.agency/booking-complete.html');
+        
+        const json = JSON.stringify(page.handler.stopRecording());
+        assert.ok(json.indexOf('visitor@example.com') === -1);
+        assert.ok(json.indexOf('Test Visitor') === -1);
+        assert.ok(json.indexOf(page.window.sessionStorage.getItem('redirect_handler_relay_token')) === -1);
+        assert.ok(json.indexOf('"relayValid":true') !== -1);
+    });
+    
+    test('is kept in sessionStorage for the next page', async function() {
+        page = createPage();
+        page.init({ debug: { record: true } });
+        
+        page.provider.book();
+        await page.waitFor('redirect');
+        
+        const saved = JSON.parse(page.window.sessionStorage.getItem('redirect_handler_recording'));
+        assert.equal(saved.entries.length, page.handler.getRecording().entries.length);
+    });
+});
+
+describe('replay', function() {
+    test('finds the signal that triggered the recorded redirect', async function() {
+        page = createPage();
+        page.init({ debug: { record: true } });
+        
+        page.provider.step('details');
+        page.provider.book();
+        await page.waitFor('redirect');
+        
+        const result = page.handler.replay(page.handler.stopRecording());
+        assert.equal(result.trigger.method, 'postMessage');
+        assert.equal(result.recorded[0].method, 'postMessage');
+        assert.ok(result.trigger.time <= result.recorded[0].time);
+    });
+    
+    test('applies the given options', function() {
+        page = createPage();
+        page.init();
+        
+        const recording = JSON.parse(fs.readFileSync(path.join(RECORDINGS, 'postmessage-booking.json'), 'utf8'));
+        
+        assert.equal(page.handler.replay(recording, { methods: { postMessage: false } }).trigger, null);
+        assert.equal(page.handler.replay(recording, { scoring: { threshold: 5 } }).trigger, null);
+    });
+    
+    test('scores recorded markup without running it', function() {
+        page = createPage();
+        page.init();
+        
+        const result = page.handler.replay({
+            iframes: [{ id: 'booking-iframe' }],
+            entries: [{
+                time: 10,
+                type: 'mutation',
+                iframe: 'booking-iframe',
+                kind: 'childList',
+                html: '<img src="x" onerror="window.replayed = true"><div class="booking-confirmed"></div>'
+            }]
+        });
+        
+        assert.equal(result.trigger.method, 'mutationObserver');
+        assert.equal(page.window.replayed, undefined);
+    });
+});
+
+describe('regression library', function() {
+    fs.readdirSync(RECORDINGS).filter(function(file) {
+        return file.endsWith('.json');
+    }).forEach(function(file) {
+        test(file, function() {
+            const recording = JSON.parse(fs.readFileSync(path.join(RECORDINGS, file), 'utf8'));
+            
+            page = createPage();
+            page.init();
+            
+            const result = page.handler.replay(recording);
+            assert.equal(result.trigger ? result.trigger.method : null, recording.expected.trigger);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * isSuccessMessage / isSuccessUrl and the logger, through the context of a probe detector
+ */
+
+'use strict';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers');
+
+let page = null;
+let context = null;
+
+before(function() {
+    page = createPage();
+    page.init();
+    page.handler.register('probe', function(probeContext) {
+        context = probeContext;
+    });
+});
+
+after(function() {
+    page.close();
+});
+
+describe('isSuccessMessage', function() {
+    test('accepts booking messages in the supported shapes', function() {
+        assert.equal(context.isSuccessMessage({ type: 'bookingCreated' }), true);
+        assert.equal(context.isSuccessMessage({ event: 'appointmentcore:booking_created' }), true);
+        assert.equal(context.isSuccessMessage(JSON.stringify({ action: 'bookingComplete' })), true);
+        assert.equal(context.isSuccessMessage({ success: true }), true);
+        assert.equal(context.isSuccessMessage({ status: 'success' }), true);
+    });
+    
+    test('rejects failures and unrelated messages', function() {
+        assert.equal(context.isSuccessMessage({ type: 'bookingFailed' }), false);
+        assert.equal(context.isSuccessMessage({ type: 'resize', height: 600 }), false);
+        assert.equal(context.isSuccessMessage({ type: 'stepChange', step: 'unconfirmed' }), false);
+        assert.equal(context.isSuccessMessage('booking-complete'), false);
+        assert.equal(context.isSuccessMessage(null), false);
+    });
+});
+
+describe('isSuccessUrl', function() {
+    test('accepts URLs with strong keywords', function() {
+        assert.equal(context.isSuccessUrl('https://studentmarketing.agency/thank-you/'), true);
+        assert.equal(context.isSuccessUrl('https://go.appointmentcore.com/book/x/booked'), true);
+    });
+    
+    test('needs more than one ambiguous keyword', function() {
+        assert.equal(context.isSuccessUrl('https://go.appointmentcore.com/book/x/confirm'), false);
+        assert.equal(context.isSuccessUrl('https://go.appointmentcore.com/book/x/confirm-complete'), false);
+    });
+    
+    test('rejects negative patterns', function() {
+        assert.equal(context.isSuccessUrl('https://go.appointmentcore.com/book/x/unconfirmed'), false);
+        assert.equal(context.isSuccessUrl('https://go.appointmentcore.com/book/x/success?error=1'), false);
+        assert.equal(context.isSuccessUrl('https://go.appointmentcore.com/book/Wtj5fVJM?d=Slots'), false);
+    });
+});
+
+describe('log', function() {
+    test('follows debug.level and names the detector and iframe', function() {
+        const count = page.logs.length;
+        
+        context.log.verbose('Not shown at the default level');
+        context.log.warn('Shown');
+        
+        const logged = page.logs.slice(count);
+        assert.equal(logged.length, 1);
+        assert.deepEqual(logged[0], ['warn', '[Iframe Redirect]', 'probe [booking-iframe]:', 'Shown']);
+    });
+});
+
+describe('register', function() {
+    test('opt-in detectors only run when enabled in methods', function() {
+        const started = [];
+        
+        page.handler.register('optIn', function(optInContext) {
+            started.push(optInContext.id);
+        }, null, { defaultEnabled: false });
+        
+        assert.equal(started.length, 0);
+        assert.equal(page.handler.inspect().iframes[0].detectors.optIn, 'disabled');
+        
+        const enabledPage = createPage();
+        enabledPage.handler.register('optIn', function(optInContext) {
+            started.push(optInContext.id);
+        }, null, { defaultEnabled: false });
+        enabledPage.init({ methods: { optIn: true } });
+        enabledPage.close();
+        
+        assert.deepEqual(started, ['booking-iframe']);
+    });
+});